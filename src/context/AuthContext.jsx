@@ -1,64 +1,277 @@
-import React, { createContext, useContext, useEffect, useMemo, useState } from 'react'
-import { apiGet, apiPost, apiPut } from '../lib/api'
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
+import { apiGet, apiPost, apiPut, setAuthHandler } from '../lib/api'
+import { clearChatCache } from '../lib/chatCache'
+import { clearNotificationPrefs } from '../lib/notifications'
+import { clearOutbox } from '../lib/outbox'
+import { clearSearchIndex } from '../lib/searchIndex'
+import { deviceKeysOf, getDeviceKey } from '../utils/cryptoUtils'
 
 const AuthContext = createContext(null)
 
+// Renew an access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000
+// Longest delay setTimeout honours (~24.8 days); longer ones fire at once
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+const ACCOUNTS_KEY = 'accounts'
+const ACTIVE_ACCOUNT_KEY = 'activeAccount'
+// Placeholder id for a migrated session whose profile isn't known yet
+const PENDING_ID = 'pending'
+
+// Signed-in accounts: [{ id, token, refreshToken, previousToken, user, expired }]
+function readStoredAccounts() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ACCOUNTS_KEY) || 'null')
+    if (Array.isArray(stored)) return stored
+    // Single-account keys from before multi-account support
+    const token = localStorage.getItem('token')
+    if (!token) return []
+    const user = JSON.parse(localStorage.getItem('user') || 'null')
+    const id = user?.id || user?._id ? String(user.id || user._id) : PENDING_ID
+    return [{ id, token, refreshToken: localStorage.getItem('refreshToken') || '', user }]
+  } catch {
+    return []
+  }
+}
+
+function readStoredActiveId(accounts) {
+  const stored = localStorage.getItem(ACTIVE_ACCOUNT_KEY)
+  return accounts.some((a) => a.id === stored) ? stored : accounts[0]?.id || null
+}
+
+// Expiry (ms since epoch) from a JWT's `exp` claim, or null if it has none
+function getTokenExpiry(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    const { exp } = JSON.parse(atob(payload))
+    return typeof exp === 'number' ? exp * 1000 : null
+  } catch {
+    return null
+  }
+}
+
 export function AuthProvider({ children }) {
-  const [token, setToken] = useState(() => localStorage.getItem('token') || '')
-  const [user, setUser] = useState(null)
-  const [loading, setLoading] = useState(true)
+  const [accounts, setAccounts] = useState(readStoredAccounts)
+  const [activeAccountId, setActiveAccountId] = useState(() => readStoredActiveId(readStoredAccounts()))
+  const [addingAccount, setAddingAccount] = useState(false)
+  const [loading, setLoading] = useState(() => {
+    const stored = readStoredAccounts()
+    const account = stored.find((a) => a.id === readStoredActiveId(stored))
+    return !!account?.token && !account.user
+  })
+  const accountsRef = useRef(accounts)
+  const activeIdRef = useRef(activeAccountId)
+  const refreshesRef = useRef(new Map()) // accountId -> in-flight refresh promise
+
+  const active = accounts.find((a) => a.id === activeAccountId) || null
+  const token = (!active?.expired && active?.token) || ''
+  const user = active?.user || null
   const isAuthed = !!token && !!user
+  const expiredSession = active?.expired ? { email: active.user?.email || '' } : null
+
+  activeIdRef.current = activeAccountId
+
+  // Refs are updated synchronously so in-flight requests see new tokens immediately
+  const commitAccounts = useCallback((update) => {
+    accountsRef.current = update(accountsRef.current)
+    setAccounts(accountsRef.current)
+  }, [])
+
+  const updateAccount = useCallback((id, patch) => {
+    commitAccounts((list) => list.map((a) => (a.id === id ? { ...a, ...patch } : a)))
+  }, [commitAccounts])
 
   useEffect(() => {
-    if (token) localStorage.setItem('token', token)
-    else localStorage.removeItem('token')
-  }, [token])
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts))
+    for (const key of ['token', 'refreshToken', 'user']) localStorage.removeItem(key)
+  }, [accounts])
 
   useEffect(() => {
-    if (!token) {
-      setUser(null)
+    if (activeAccountId) localStorage.setItem(ACTIVE_ACCOUNT_KEY, activeAccountId)
+    else localStorage.removeItem(ACTIVE_ACCOUNT_KEY)
+  }, [activeAccountId])
+
+  // Expired accounts stay listed so the user can sign back in from the switcher
+  const expireAccount = useCallback((id) => {
+    updateAccount(id, { token: '', refreshToken: '', previousToken: '', expired: true })
+  }, [updateAccount])
+
+  // Single-flight per account: every caller that hits a 401 while a refresh
+  // is running waits for the same request. Resolves to the new token or null.
+  const refreshSession = useCallback((staleToken) => {
+    const list = accountsRef.current
+    const account = list.find((a) => a.token && a.token === staleToken)
+    if (!account) {
+      // Already renewed by an earlier caller
+      const renewed = list.find((a) => a.previousToken && a.previousToken === staleToken)
+      return Promise.resolve(renewed?.token || null)
+    }
+    if (!refreshesRef.current.has(account.id)) {
+      const promise = (async () => {
+        if (!account.refreshToken) {
+          expireAccount(account.id)
+          return null
+        }
+        try {
+          const res = await apiPost('/api/users/refresh', { refreshToken: account.refreshToken })
+          updateAccount(account.id, {
+            token: res.token,
+            refreshToken: res.refreshToken || account.refreshToken,
+            previousToken: account.token,
+          })
+          return res.token
+        } catch (error) {
+          console.error('Session refresh failed:', error)
+          // Offline is not the same as expired; keep the session for the next attempt
+          if (!error.isNetworkError) expireAccount(account.id)
+          return null
+        } finally {
+          refreshesRef.current.delete(account.id)
+        }
+      })()
+      refreshesRef.current.set(account.id, promise)
+    }
+    return refreshesRef.current.get(account.id)
+  }, [expireAccount, updateAccount])
+
+  useEffect(() => {
+    setAuthHandler({ refresh: refreshSession })
+    return () => setAuthHandler(null)
+  }, [refreshSession])
+
+  // Renew every signed-in account shortly before its access token expires
+  useEffect(() => {
+    const timers = new Set()
+    function schedule(token) {
+      const expiresAt = getTokenExpiry(token)
+      if (!expiresAt) return
+      const delay = Math.max(0, expiresAt - Date.now() - REFRESH_AHEAD_MS)
+      const timer = setTimeout(() => {
+        timers.delete(timer)
+        // Long-lived tokens are waited out in steps the browser can time
+        if (delay > MAX_TIMER_DELAY) schedule(token)
+        else refreshSession(token)
+      }, Math.min(delay, MAX_TIMER_DELAY))
+      timers.add(timer)
+    }
+    accounts.filter((a) => a.token && a.refreshToken).forEach((a) => schedule(a.token))
+    return () => timers.forEach((timer) => clearTimeout(timer))
+  }, [accounts, refreshSession])
+
+  // Revalidate the profile whenever an account becomes active
+  const hasSession = !!token
+  useEffect(() => {
+    if (!hasSession) {
       setLoading(false)
       return
     }
-    setLoading(true)
-    apiGet('/api/users/me', token).then((userData) => {
-      setUser(userData)
+    const id = activeAccountId
+    const account = accountsRef.current.find((a) => a.id === id)
+    // With a cached profile the app renders immediately and /me revalidates it
+    setLoading(!account?.user)
+    apiGet('/api/users/me', account.token).then((userData) => {
+      const userId = String(userData.id || userData._id)
+      if (id === PENDING_ID) {
+        commitAccounts((list) => list.filter((a) => a.id !== userId).map((a) => (a.id === id ? { ...a, id: userId, user: userData } : a)))
+        setActiveAccountId(userId)
+      } else {
+        updateAccount(id, { user: userData })
+      }
       setLoading(false)
     }).catch((error) => {
       console.error('Auth error:', error)
-      setToken('')
-      setUser(null)
+      // A rejected token has already gone through refreshSession; anything
+      // else (offline, server down) keeps the cached profile
+      if (error.status === 401 || error.status === 403) expireAccount(id)
       setLoading(false)
     })
-  }, [token])
+  }, [hasSession, activeAccountId, commitAccounts, updateAccount, expireAccount])
+
+  // Publish this device's public key so others can encrypt to us. Keys are
+  // listed per device, so other browsers on the account keep theirs
+  const publishedDevices = deviceKeysOf(user).map((d) => `${d.id}=${d.publicKey}`).join(',')
+  useEffect(() => {
+    if (!hasSession || !user?.id) return
+    let cancelled = false
+    const id = activeAccountId
+    getDeviceKey(user.id).then(async ({ deviceId, publicKey }) => {
+      if (cancelled || publishedDevices.split(',').includes(`${deviceId}=${publicKey}`)) return
+      const account = accountsRef.current.find((a) => a.id === id)
+      const updated = await apiPut(`/api/users/me/devices/${encodeURIComponent(deviceId)}`, { publicKey }, account?.token)
+      if (!cancelled) updateAccount(id, { user: updated })
+    }).catch((error) => {
+      console.error('Failed to publish device key:', error)
+    })
+    return () => { cancelled = true }
+  }, [hasSession, activeAccountId, user?.id, publishedDevices, updateAccount])
+
+  // Adds the account (or refreshes its tokens if already listed) and switches to it
+  function signIn(res) {
+    const id = String(res.user.id || res.user._id)
+    const account = { id, token: res.token, refreshToken: res.refreshToken || '', previousToken: '', user: res.user, expired: false }
+    commitAccounts((list) => (list.some((a) => a.id === id) ? list.map((a) => (a.id === id ? account : a)) : [...list, account]))
+    setActiveAccountId(id)
+    setAddingAccount(false)
+  }
 
   async function register(data) {
-    const res = await apiPost('/api/users/register', data)
-    setToken(res.token)
-    setUser(res.user)
+    signIn(await apiPost('/api/users/register', data))
   }
 
   async function login(data) {
-    const res = await apiPost('/api/users/login', data)
-    setToken(res.token)
-    setUser(res.user)
+    signIn(await apiPost('/api/users/login', data))
   }
 
+  // Signs out the active account only; another signed-in account takes over
   function logout() {
-    setToken('')
-    setUser(null)
+    const id = activeIdRef.current
+    const account = accountsRef.current.find((a) => a.id === id)
+    if (account?.user) {
+      const userId = account.user.id || account.user._id
+      clearChatCache(userId).catch((error) => console.error('Failed to clear chat cache:', error))
+      clearSearchIndex(userId).catch((error) => console.error('Failed to clear search index:', error))
+      clearOutbox(userId).catch((error) => console.error('Failed to clear outbox:', error))
+      clearNotificationPrefs(userId)
+    }
+    commitAccounts((list) => list.filter((a) => a.id !== id))
+    const next = accountsRef.current.find((a) => !a.expired) || accountsRef.current[0]
+    setActiveAccountId(next?.id || null)
+  }
+
+  function switchAccount(id) {
+    if (!accountsRef.current.some((a) => a.id === id)) return
+    setAddingAccount(false)
+    setActiveAccountId(id)
   }
 
   async function updateProfile(data) {
+    const id = activeIdRef.current
     const updated = await apiPut('/api/users/me', data, token)
-    setUser(updated)
+    updateAccount(id, { user: updated })
     return updated
   }
 
-  const value = useMemo(() => ({ token, user, isAuthed, loading, register, login, logout, updateProfile }), [token, user, isAuthed, loading])
+  const value = useMemo(
+    () => ({
+      token,
+      user,
+      isAuthed,
+      loading,
+      expiredSession,
+      accounts,
+      activeAccountId,
+      addingAccount,
+      register,
+      login,
+      logout,
+      updateProfile,
+      refreshSession,
+      switchAccount,
+      addAccount: () => setAddingAccount(true),
+      cancelAddAccount: () => setAddingAccount(false),
+    }),
+    [token, user, isAuthed, loading, expiredSession?.email, accounts, activeAccountId, addingAccount, refreshSession]
+  )
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
 }
 
 export function useAuth() { return useContext(AuthContext) }
-
-
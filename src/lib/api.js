@@ -1,48 +1,250 @@
-const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SERVER_URL || "http://localhost:5000";
+// Single base URL for both REST calls and the Socket.IO connection
+export const SERVER_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SERVER_URL || "http://localhost:5000";
 
+const SERVER_ORIGIN = new URL(SERVER_URL, window.location.href).origin;
 
-function getHeaders(token) {
-  const headers = { "Content-Type": "application/json" };
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+let authHandler = null;
+
+/**
+ * Registers the session refresher used when a request comes back 401.
+ * `refresh(staleToken)` resolves to a new token, or null when the session
+ * can't be renewed. Concurrent callers are expected to share one refresh.
+ */
+export function setAuthHandler(handler) {
+  authHandler = handler;
+}
+
+export const defaultRetry = {
+  retries: 2, // extra attempts after the first one
+  baseDelay: 300, // ms, doubled on every attempt
+  maxDelay: 4000,
+};
+
+/**
+ * Error thrown for any non-2xx response. `status` is the HTTP status and
+ * `body` the parsed JSON error payload (or raw text when it isn't JSON).
+ * Network failures use status 0.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, body = null, method, path, cause } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+    if (cause) this.cause = cause;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+// Paths are relative to the API server; uploads may hand back absolute URLs
+function resolveUrl(path) {
+  return /^https?:\/\//.test(path) ? path : `${SERVER_URL}${path}`;
+}
+
+/** Whether `path` points at the API server, i.e. may be sent credentials. */
+export function isServerUrl(path) {
+  try {
+    return new URL(resolveUrl(path), window.location.href).origin === SERVER_ORIGIN;
+  } catch {
+    return false;
+  }
+}
+
+function getHeaders(token, hasBody) {
+  const headers = {};
+  if (hasBody) headers["Content-Type"] = "application/json";
   if (token) headers["Authorization"] = `Bearer ${token}`;
   return headers;
 }
 
-export async function apiGet(path, token) {
-  const res = await fetch(`${API_URL}${path}`, {
-    headers: getHeaders(token),
-    credentials: "include",
-  });
-  if (!res.ok) {
-    const errorText = await res.text();
-    throw new Error(errorText || "Request failed");
+async function readBody(res) {
+  if (res.status === 204) return null;
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
   }
-  return res.json();
 }
 
-export async function apiPost(path, body, token) {
-  const res = await fetch(`${API_URL}${path}`, {
-    method: "POST",
-    headers: getHeaders(token),
-    body: JSON.stringify(body),
-    credentials: "include",
+function errorMessage(body, res) {
+  if (body && typeof body === "object") return body.error || body.message || res.statusText || "Request failed";
+  return body || res.statusText || "Request failed";
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
   });
-  if (!res.ok) {
-    const errorText = await res.text();
-    throw new Error(errorText || "Request failed");
+}
+
+function shouldRetry(error) {
+  return error.isNetworkError || RETRYABLE_STATUSES.has(error.status);
+}
+
+/**
+ * Performs a request against the API server.
+ *
+ * options:
+ *  - body: JSON-serializable request body
+ *  - token: bearer token
+ *  - signal: AbortSignal to cancel the request (and any pending retry)
+ *  - retry: false to disable, or overrides for `defaultRetry`. Only
+ *    idempotent methods are retried, on network errors and 408/429/5xx.
+ *  - responseType: "json" (default) or "arrayBuffer" for binary downloads
+ *
+ * Absolute URLs on another origin are fetched without the token.
+ */
+export async function apiRequest(method, path, { body, token, signal, retry, responseType = "json" } = {}) {
+  // The bearer token only ever goes to our own server
+  if (!isServerUrl(path)) token = null;
+  const retryOptions = retry === false || !IDEMPOTENT_METHODS.has(method) ? null : { ...defaultRetry, ...retry };
+  const maxAttempts = retryOptions ? retryOptions.retries + 1 : 1;
+  let refreshed = false;
+
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    try {
+      const res = await fetch(resolveUrl(path), {
+        method,
+        headers: getHeaders(token, body !== undefined),
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        credentials: "include",
+        signal,
+      });
+      if (res.ok && responseType === "arrayBuffer") return await res.arrayBuffer();
+      const data = await readBody(res);
+      if (res.ok) return data;
+      // Expired access token: renew it once and replay the request
+      if (res.status === 401 && token && authHandler && !refreshed) {
+        refreshed = true;
+        const freshToken = await authHandler.refresh(token);
+        if (freshToken) {
+          token = freshToken;
+          attempt--;
+          continue;
+        }
+      }
+      error = new ApiError(errorMessage(data, res), { status: res.status, body: data, method, path });
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      // Cancellation is not a failure worth retrying or wrapping
+      if (err?.name === "AbortError" || signal?.aborted) throw err;
+      error = new ApiError(err?.message || "Network error", { method, path, cause: err });
+    }
+
+    if (attempt >= maxAttempts || !shouldRetry(error)) throw error;
+    const delay = Math.min(retryOptions.maxDelay, retryOptions.baseDelay * 2 ** (attempt - 1));
+    await sleep(delay / 2 + Math.random() * (delay / 2), signal);
   }
-  return res.json();
 }
 
-export async function apiPut(path, body, token) {
-  const res = await fetch(`${API_URL}${path}`, {
-    method: "PUT",
-    headers: getHeaders(token),
-    body: JSON.stringify(body),
-    credentials: "include",
-  });
-  if (!res.ok) {
-    const errorText = await res.text();
-    throw new Error(errorText || "Request failed");
+export function apiGet(path, token, options) {
+  return apiRequest("GET", path, { ...options, token });
+}
+
+export function apiPost(path, body, token, options) {
+  return apiRequest("POST", path, { ...options, body, token });
+}
+
+export function apiPut(path, body, token, options) {
+  return apiRequest("PUT", path, { ...options, body, token });
+}
+
+export function apiPatch(path, body, token, options) {
+  return apiRequest("PATCH", path, { ...options, body, token });
+}
+
+export function apiDelete(path, token, options) {
+  return apiRequest("DELETE", path, { ...options, token });
+}
+
+/**
+ * Uploads a Blob as multipart form data (field "file"). Uses XHR because
+ * fetch can't report upload progress: `onProgress(fraction)` is called as
+ * bytes go out. Not retried automatically; a 401 is renewed once like
+ * apiRequest.
+ */
+export async function apiUpload(path, blob, token, { filename, fields, signal, onProgress } = {}) {
+  if (!isServerUrl(path)) token = null;
+  let refreshed = false;
+  for (;;) {
+    try {
+      return await sendUpload(path, blob, token, { filename, fields, signal, onProgress });
+    } catch (err) {
+      if (!(err instanceof ApiError) || err.status !== 401 || !token || !authHandler || refreshed) throw err;
+      refreshed = true;
+      const freshToken = await authHandler.refresh(token);
+      if (!freshToken) throw err;
+      token = freshToken;
+    }
   }
-  return res.json();
+}
+
+function sendUpload(path, blob, token, { filename, fields, signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields || {})) form.append(name, value);
+    form.append("file", blob, filename);
+
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    const done = () => signal?.removeEventListener("abort", onAbort);
+    xhr.open("POST", resolveUrl(path));
+    xhr.withCredentials = true;
+    if (token) xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      done();
+      let data = xhr.responseText || null;
+      try {
+        data = data && JSON.parse(data);
+      } catch {
+        // Keep the raw text
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        const res = { statusText: xhr.statusText };
+        reject(new ApiError(errorMessage(data, res), { status: xhr.status, body: data, method: "POST", path }));
+      }
+    };
+    xhr.onerror = () => {
+      done();
+      reject(new ApiError("Network error", { method: "POST", path }));
+    };
+    xhr.onabort = () => {
+      done();
+      reject(signal?.reason || new DOMException("Upload aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    xhr.send(form);
+  });
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
 }
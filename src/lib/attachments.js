@@ -0,0 +1,101 @@
+import { apiGet, apiUpload, isServerUrl } from "./api";
+import { decryptAttachment, encryptAttachment } from "../utils/cryptoUtils";
+
+// Encrypted file attachments.
+//
+// Upload: POST /api/uploads (multipart "file") -> { url } or { id, url }.
+// The stored blob is ciphertext; the message body carries everything needed
+// to show it: { url, name, type, size, key, iv, width?, height? }.
+
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+const UPLOAD_PATH = "/api/uploads";
+
+const objectUrls = new Map(); // cacheKey(attachment) -> Promise<object URL>
+
+// Another message may reuse a url with a different key, so the cache can't be
+// keyed by url alone: that message would be shown the first one's plaintext
+function cacheKey({ url, key, iv, type }) {
+  return JSON.stringify([url, key, iv, type]);
+}
+
+export function isImageAttachment(attachment) {
+  return /^image\//.test(attachment?.type || "");
+}
+
+export function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes)) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Seconds as m:ss
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// Natural size of an image so the bubble can reserve space before it loads
+function readImageSize(file) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve({});
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Encrypts and uploads `file`. Resolves to the attachment descriptor that
+ * goes into the message body. `onProgress(fraction)` covers the upload only.
+ */
+export async function uploadAttachment(file, token, { signal, onProgress } = {}) {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`Files can be at most ${formatFileSize(MAX_ATTACHMENT_SIZE)}`);
+  }
+  const type = file.type || "application/octet-stream";
+  const [encrypted, size] = await Promise.all([
+    file.arrayBuffer().then(encryptAttachment),
+    /^image\//.test(type) ? readImageSize(file) : {},
+  ]);
+  const result = await apiUpload(UPLOAD_PATH, new Blob([encrypted.data], { type: "application/octet-stream" }), token, {
+    filename: "attachment.bin",
+    signal,
+    onProgress,
+  });
+  const url = result?.url || (result?.id ? `${UPLOAD_PATH}/${result.id}` : null);
+  if (!url) throw new Error("Upload response did not include a URL");
+  const attachment = { url, name: file.name || "file", type, size: file.size, key: encrypted.key, iv: encrypted.iv, ...size };
+  // The sender already has the plaintext; no need to download it back
+  objectUrls.set(cacheKey(attachment), Promise.resolve(URL.createObjectURL(file)));
+  return attachment;
+}
+
+/**
+ * Downloads and decrypts an attachment; resolves to an object URL that stays
+ * valid for the session. Concurrent and repeat calls share one download.
+ * The url comes from the sender, so only ones on the API server are fetched.
+ */
+export function loadAttachment(attachment, token) {
+  const { url } = attachment;
+  if (typeof url !== "string" || !isServerUrl(url)) {
+    return Promise.reject(new Error("Attachment is not hosted on the chat server"));
+  }
+  const cached = cacheKey(attachment);
+  if (!objectUrls.has(cached)) {
+    const promise = apiGet(url, token, { responseType: "arrayBuffer" })
+      .then((data) => decryptAttachment(data, attachment))
+      .then((plain) => URL.createObjectURL(new Blob([plain], { type: attachment.type })));
+    // Let a later render try again after a failure
+    promise.catch(() => objectUrls.delete(cached));
+    objectUrls.set(cached, promise);
+  }
+  return objectUrls.get(cached);
+}
@@ -0,0 +1,65 @@
+import { openDb, deleteDb, idbGet, idbPut } from "./idb";
+
+// Per-account snapshot of the chat list, recent messages and group member
+// profiles, used to render instantly on startup before the API answers.
+// Each account gets its own database so switching users never mixes data.
+
+const CHATS_STORE = "chats"; // "list" -> chat[]
+const MESSAGES_STORE = "messages"; // chatId -> message[] (newest last)
+const MEMBERS_STORE = "members"; // chatId -> /api/chats/:id/members response
+
+export const CACHED_MESSAGES_PER_CHAT = 100;
+
+function dbName(userId) {
+  return `chat-cache-${userId}`;
+}
+
+function getDb(userId) {
+  return openDb(dbName(userId), 1, (db) => {
+    db.createObjectStore(CHATS_STORE);
+    db.createObjectStore(MESSAGES_STORE);
+    db.createObjectStore(MEMBERS_STORE);
+  });
+}
+
+export async function readCachedChats(userId) {
+  const db = await getDb(userId);
+  return (await idbGet(db, CHATS_STORE, "list")) || [];
+}
+
+export async function writeCachedChats(userId, chats) {
+  const db = await getDb(userId);
+  // Typing flags are live-only state
+  await idbPut(db, CHATS_STORE, chats.map(({ typing, ...chat }) => chat), "list");
+}
+
+export async function readCachedMessages(userId, chatId) {
+  const db = await getDb(userId);
+  return (await idbGet(db, MESSAGES_STORE, String(chatId))) || [];
+}
+
+export async function writeCachedMessages(userId, chatId, messages) {
+  const db = await getDb(userId);
+  await idbPut(db, MESSAGES_STORE, messages.slice(-CACHED_MESSAGES_PER_CHAT), String(chatId));
+}
+
+export async function appendCachedMessage(userId, chatId, message) {
+  const cached = await readCachedMessages(userId, chatId);
+  const id = String(message.id || message._id);
+  if (cached.some((m) => String(m.id || m._id) === id)) return;
+  await writeCachedMessages(userId, chatId, [...cached, message]);
+}
+
+export async function readCachedMembers(userId, chatId) {
+  const db = await getDb(userId);
+  return idbGet(db, MEMBERS_STORE, String(chatId));
+}
+
+export async function writeCachedMembers(userId, chatId, info) {
+  const db = await getDb(userId);
+  await idbPut(db, MEMBERS_STORE, info, String(chatId));
+}
+
+export function clearChatCache(userId) {
+  return deleteDb(dbName(userId));
+}
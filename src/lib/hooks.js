@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from "react";
+import { apiGet, isAbortError } from "./api";
+
+// Hooks shared by the dialogs and panels
+
+const SEARCH_DELAY = 300;
+
+// Calls `onEscape` when Escape is pressed anywhere, e.g. to close a modal
+export function useEscapeKey(onEscape) {
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onEscapeRef.current();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+}
+
+// Users matching `query` from /api/users, debounced; empty for a blank query
+export function useUserSearch(query, token) {
+  const [users, setUsers] = useState([]);
+  const q = query.trim();
+  useEffect(() => {
+    if (!q) {
+      setUsers([]);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const found = await apiGet(`/api/users?q=${encodeURIComponent(q)}`, token, { signal: controller.signal });
+        setUsers(Array.isArray(found) ? found : []);
+      } catch (err) {
+        if (!isAbortError(err)) console.error("User search failed:", err);
+      }
+    }, SEARCH_DELAY);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [q, token]);
+  return users;
+}
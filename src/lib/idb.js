@@ -0,0 +1,87 @@
+// Minimal promise wrappers around IndexedDB. Each feature owns its own
+// database name so schema upgrades never have to be coordinated.
+
+const connections = new Map();
+
+export function openDb(name, version, upgrade) {
+  const cacheKey = `${name}@${version}`;
+  if (connections.has(cacheKey)) return connections.get(cacheKey);
+  const promise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = (event) => upgrade(req.result, event.oldVersion, req.transaction);
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab (or deleteDb) wants the database; let it go
+      db.onversionchange = () => {
+        db.close();
+        connections.delete(cacheKey);
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      connections.delete(cacheKey);
+      reject(req.error);
+    };
+  });
+  connections.set(cacheKey, promise);
+  return promise;
+}
+
+export function deleteDb(name) {
+  for (const key of connections.keys()) {
+    if (key.startsWith(`${name}@`)) connections.delete(key);
+  }
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+    // Resolves once the remaining connections close
+    req.onblocked = () => resolve();
+  });
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export async function idbGet(db, store, key) {
+  return request(db.transaction(store).objectStore(store).get(key));
+}
+
+export async function idbGetAll(db, store, query) {
+  return request(db.transaction(store).objectStore(store).getAll(query));
+}
+
+export async function idbPut(db, store, value, key) {
+  return request(db.transaction(store, "readwrite").objectStore(store).put(value, key));
+}
+
+export async function idbDelete(db, store, key) {
+  return request(db.transaction(store, "readwrite").objectStore(store).delete(key));
+}
+
+export async function idbClear(db, store) {
+  return request(db.transaction(store, "readwrite").objectStore(store).clear());
+}
+
+export async function idbPutMany(db, store, values) {
+  const tx = db.transaction(store, "readwrite");
+  const objectStore = tx.objectStore(store);
+  values.forEach((value) => objectStore.put(value));
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function idbGetAllFromIndex(db, store, index, query) {
+  return request(db.transaction(store).objectStore(store).index(index).getAll(query));
+}
+
+export async function idbGetAllKeysFromIndex(db, store, index, query) {
+  return request(db.transaction(store).objectStore(store).index(index).getAllKeys(query));
+}
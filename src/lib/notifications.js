@@ -0,0 +1,142 @@
+// Desktop notifications, per-chat mute and the unread badge in the tab.
+//
+// Preferences are per account and per device, kept in localStorage:
+//   { sound: boolean, mutes: { [chatId]: until } }
+// where `until` is an ISO date, or "always" for chats muted indefinitely.
+
+const APP_TITLE = document.title;
+
+export const MUTE_OPTIONS = [
+  { value: "8h", label: "Mute for 8 hours", duration: 8 * 60 * 60 * 1000 },
+  { value: "1w", label: "Mute for 1 week", duration: 7 * 24 * 60 * 60 * 1000 },
+  { value: "always", label: "Mute always", duration: null },
+];
+
+function prefsKey(userId) {
+  return `chat-notifications-${userId}`;
+}
+
+export function readNotificationPrefs(userId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(prefsKey(userId)) || "null");
+    return { sound: true, mutes: {}, ...stored };
+  } catch {
+    return { sound: true, mutes: {} };
+  }
+}
+
+export function writeNotificationPrefs(userId, prefs) {
+  localStorage.setItem(prefsKey(userId), JSON.stringify(prefs));
+}
+
+export function clearNotificationPrefs(userId) {
+  localStorage.removeItem(prefsKey(userId));
+}
+
+/** The `until` value for a MUTE_OPTIONS entry, starting now. */
+export function muteUntil(option, now = Date.now()) {
+  const { duration } = MUTE_OPTIONS.find((o) => o.value === option) || {};
+  return duration ? new Date(now + duration).toISOString() : "always";
+}
+
+export function isMuted(mutes, chatId, now = Date.now()) {
+  const until = mutes?.[String(chatId)];
+  if (!until) return false;
+  return until === "always" || new Date(until).getTime() > now;
+}
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+/** Resolves to the permission state; only prompts while it is "default". */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "denied";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Shows a notification if permission was granted. Notifications with the
+ * same `tag` replace each other, so a busy chat doesn't stack alerts.
+ * `onClick` runs after the tab has been focused.
+ */
+export function showNotification({ title, body, tag, icon, onClick }) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return null;
+  try {
+    const notification = new Notification(title, { body, tag, icon, renotify: !!tag });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+    return notification;
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn("[Notifications] Could not show notification:", err);
+    return null;
+  }
+}
+
+let audioContext = null;
+
+// A short two-tone chime, synthesized so there's no sound file to ship
+export function playNotificationSound() {
+  try {
+    audioContext ??= new AudioContext();
+    const start = audioContext.currentTime;
+    [880, 1320].forEach((frequency, i) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, start + i * 0.12);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + i * 0.12 + 0.2);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start + i * 0.12);
+      oscillator.stop(start + i * 0.12 + 0.2);
+    });
+  } catch (err) {
+    console.warn("[Notifications] Could not play sound:", err);
+  }
+}
+
+function faviconLink() {
+  let link = document.querySelector("link[data-unread-badge]");
+  if (!link) {
+    link = document.createElement("link");
+    link.rel = "icon";
+    link.dataset.unreadBadge = "";
+    document.head.appendChild(link);
+  }
+  return link;
+}
+
+function drawFavicon(count) {
+  const size = 64;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#00a884";
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2 - 4, 0, Math.PI * 2);
+  ctx.fill();
+  if (count > 0) {
+    ctx.fillStyle = "#f15c6d";
+    ctx.beginPath();
+    ctx.arc(size - 20, 20, 20, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.font = "bold 26px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(count > 9 ? "9+" : String(count), size - 20, 21);
+  }
+  return canvas.toDataURL("image/png");
+}
+
+/** Shows `count` in the tab title and favicon; 0 clears both. */
+export function setUnreadBadge(count) {
+  document.title = count > 0 ? `(${count}) ${APP_TITLE}` : APP_TITLE;
+  faviconLink().href = drawFavicon(count);
+}
@@ -0,0 +1,51 @@
+import { openDb, idbGetAll, idbPut, idbDelete } from "./idb";
+
+// Durable queue of messages that have not been acknowledged by the server.
+// Entries hold the already-encrypted envelope, never the plaintext.
+//
+// Entry shape:
+//   { clientId, userId, chatId, content, createdAt, state, error? }
+// where state is "pending" | "sending" | "failed". Messages that failed to
+// encrypt have no content and are never stored here.
+
+const DB_NAME = "chat-outbox";
+const STORE = "messages";
+
+function getDb() {
+  return openDb(DB_NAME, 1, (db) => {
+    db.createObjectStore(STORE, { keyPath: "clientId" });
+  });
+}
+
+// Idempotency key sent with message:send so the server can drop retries
+export function createClientId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function loadOutbox(userId) {
+  const db = await getDb();
+  const entries = await idbGetAll(db, STORE);
+  return entries
+    .filter((e) => String(e.userId) === String(userId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function saveOutboxEntry(entry) {
+  const db = await getDb();
+  await idbPut(db, STORE, entry);
+}
+
+export async function deleteOutboxEntry(clientId) {
+  const db = await getDb();
+  await idbDelete(db, STORE, clientId);
+}
+
+// The store is shared by every account on this browser, so signing out
+// deletes only that user's entries
+export async function clearOutbox(userId) {
+  const entries = await loadOutbox(userId);
+  const db = await getDb();
+  await Promise.all(entries.map((e) => idbDelete(db, STORE, e.clientId)));
+}
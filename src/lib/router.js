@@ -0,0 +1,42 @@
+import { useEffect, useMemo, useState } from "react";
+
+// Tiny History API router for the two deep-linkable screens:
+//   /chats/:chatId
+//   /chats/:chatId/messages/:messageId
+
+const listeners = new Set();
+
+export function chatPath(chatId, messageId) {
+  const base = `/chats/${encodeURIComponent(chatId)}`;
+  return messageId ? `${base}/messages/${encodeURIComponent(messageId)}` : base;
+}
+
+export function matchRoute(pathname) {
+  const match = pathname.match(/^\/chats\/([^/]+)(?:\/messages\/([^/]+))?\/?$/);
+  if (!match) return { chatId: null, messageId: null };
+  return {
+    chatId: decodeURIComponent(match[1]),
+    messageId: match[2] ? decodeURIComponent(match[2]) : null,
+  };
+}
+
+export function navigate(path, { replace = false } = {}) {
+  if (path === window.location.pathname) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", path);
+  listeners.forEach((listener) => listener());
+}
+
+// Current route; re-renders on navigate() and browser back/forward
+export function useRoute() {
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+  useEffect(() => {
+    const update = () => setPathname(window.location.pathname);
+    listeners.add(update);
+    window.addEventListener("popstate", update);
+    return () => {
+      listeners.delete(update);
+      window.removeEventListener("popstate", update);
+    };
+  }, []);
+  return useMemo(() => matchRoute(pathname), [pathname]);
+}
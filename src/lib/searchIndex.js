@@ -0,0 +1,150 @@
+import { openDb, deleteDb, idbDelete, idbGetAllFromIndex, idbGetAllKeysFromIndex, idbPutMany } from "./idb";
+
+// Local full-text index over decrypted messages. The server only has
+// ciphertext, so search has to happen on the device. Each account gets its
+// own database, removed on logout like the chat cache.
+//
+// Documents: { id, chatId, sender, createdAt, text, terms } where `terms` is
+// a multiEntry index of normalized words; a query term matches any indexed
+// word it is a prefix of.
+
+const STORE = "messages";
+const SNIPPET_RADIUS = 60; // characters of context on each side of the first hit
+
+function dbName(userId) {
+  return `chat-search-${userId}`;
+}
+
+function getDb(userId) {
+  return openDb(dbName(userId), 1, (db) => {
+    const store = db.createObjectStore(STORE, { keyPath: "id" });
+    store.createIndex("terms", "terms", { multiEntry: true });
+    store.createIndex("chatId", "chatId");
+  });
+}
+
+// Lowercased words with diacritics removed, so "Café" matches "cafe"
+function normalize(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+// normalize() one character at a time, remembering where each normalized
+// code unit came from: `sources[i]` is the [start, end) of its character in
+// `text`. Normalizing can change the length, so hits found in the
+// normalized text are mapped back through this.
+function normalizeWithSources(text) {
+  let normalized = "";
+  const sources = [];
+  let pos = 0;
+  for (const char of text) {
+    const part = normalize(char);
+    for (let i = 0; i < part.length; i++) sources.push([pos, pos + char.length]);
+    normalized += part;
+    pos += char.length;
+  }
+  return { normalized, sources };
+}
+
+export function tokenize(text) {
+  return [...new Set(normalize(text).match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+/** Adds or replaces documents ({ id, chatId, sender, createdAt, text }). */
+export async function indexMessages(userId, docs) {
+  const entries = docs
+    .filter((doc) => doc.id && doc.text)
+    .map((doc) => ({
+      id: String(doc.id),
+      chatId: String(doc.chatId),
+      sender: String(doc.sender),
+      createdAt: doc.createdAt,
+      text: doc.text,
+      terms: tokenize(doc.text),
+    }));
+  if (!entries.length) return;
+  const db = await getDb(userId);
+  await idbPutMany(db, STORE, entries);
+}
+
+export async function removeFromIndex(userId, messageId) {
+  const db = await getDb(userId);
+  await idbDelete(db, STORE, String(messageId));
+}
+
+// Ids already indexed for a chat, so backfills can skip them
+export async function getIndexedIds(userId, chatId) {
+  const db = await getDb(userId);
+  return new Set(await idbGetAllKeysFromIndex(db, STORE, "chatId", String(chatId)));
+}
+
+function score(doc, terms, phrase) {
+  let total = 0;
+  for (const term of terms) {
+    total += doc.terms.includes(term) ? 3 : 1;
+  }
+  if (terms.length > 1 && normalize(doc.text).includes(phrase)) total += 5;
+  return total;
+}
+
+// Text around the first hit, split into { text, match } segments. Terms are
+// matched like the index does, so "cafe" highlights "Café".
+function snippet(text, terms) {
+  const { normalized, sources } = normalizeWithSources(text);
+  const hits = [];
+  for (const term of terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`, "gu");
+    for (const match of normalized.matchAll(pattern)) {
+      hits.push([sources[match.index][0], sources[match.index + term.length - 1][1]]);
+    }
+  }
+  hits.sort((a, b) => a[0] - b[0]);
+  const first = hits[0]?.[0] ?? 0;
+  // Start on a word boundary rather than mid-word
+  const space = text.indexOf(" ", first - SNIPPET_RADIUS);
+  const start = first <= SNIPPET_RADIUS ? 0 : space !== -1 && space < first ? space + 1 : first - SNIPPET_RADIUS;
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  const segments = [];
+  let pos = start;
+  for (const [from, to] of hits) {
+    if (from < pos || from >= end) continue;
+    if (from > pos) segments.push({ text: text.slice(pos, from), match: false });
+    segments.push({ text: text.slice(from, Math.min(to, end)), match: true });
+    pos = Math.min(to, end);
+  }
+  if (pos < end) segments.push({ text: text.slice(pos, end), match: false });
+  if (start > 0) segments.unshift({ text: "…", match: false });
+  if (end < text.length) segments.push({ text: "…", match: false });
+  return segments;
+}
+
+/**
+ * Messages containing every word of `query` (as word prefixes), best match
+ * first and newest first among equals. `chatId` limits the search to a chat.
+ */
+export async function searchMessages(userId, query, { chatId, limit = 50 } = {}) {
+  const terms = tokenize(query);
+  if (!terms.length) return [];
+  const db = await getDb(userId);
+  // Narrow by the longest term, then check the rest in memory
+  const anchor = [...terms].sort((a, b) => b.length - a.length)[0];
+  const candidates = await idbGetAllFromIndex(db, STORE, "terms", IDBKeyRange.bound(anchor, `${anchor}\uffff`));
+  const seen = new Set();
+  const phrase = terms.join(" ");
+  const results = [];
+  for (const doc of candidates) {
+    if (seen.has(doc.id)) continue;
+    seen.add(doc.id);
+    if (chatId && doc.chatId !== String(chatId)) continue;
+    if (!terms.every((term) => doc.terms.some((word) => word.startsWith(term)))) continue;
+    results.push({ ...doc, score: score(doc, terms, phrase), snippet: snippet(doc.text, terms) });
+  }
+  results.sort((a, b) => b.score - a.score || new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  return results.slice(0, limit);
+}
+
+export function clearSearchIndex(userId) {
+  return deleteDb(dbName(userId));
+}
@@ -1,99 +1,200 @@
-import React, { useEffect, useMemo, useRef } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { io } from "socket.io-client";
 import { AuthProvider, useAuth } from "../context/AuthContext.jsx";
+import { apiGet, SERVER_URL } from "../lib/api";
+import { appendCachedMessage, readCachedChats } from "../lib/chatCache";
+import { isMentioned } from "../utils/messageBody";
 import AuthPage from "../ui/AuthPage.jsx";
 import ChatApp from "../ui/ChatApp.jsx";
 
-const WS_URL = import.meta.env.VITE_SERVER_URL || import.meta.env.VITE_API_URL || "http://localhost:5000";
+// One socket per signed-in account. Besides connecting, it keeps background
+// accounts' unread badges current; `ctx` holds the refs and state setters of
+// the App that owns it.
+function createSocket(account, { socketsRef, activeAccountIdRef, refreshSessionRef, setUnreadByAccount, setMentionsByAccount }) {
+  console.log("[Socket] Creating new socket instance for account", account.id);
+  const socketInstance = io(SERVER_URL, {
+    withCredentials: true,
+    auth: { token: account.token },
+    transports: ['websocket', 'polling'],
+    reconnection: true,
+    reconnectionAttempts: 10,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: 5000,
+    timeout: 20000,
+    forceNew: true, // one connection per account, never shared
+    autoConnect: true,
+  });
 
-function Inner() {
-  const { isAuthed, token, loading } = useAuth();
-  const socketRef = useRef(null);
-  
-  const socket = useMemo(() => {
-    if (!token) {
-      // If token is removed, disconnect existing socket
-      if (socketRef.current) {
-        console.log("[Socket] Token removed, disconnecting existing socket");
-        socketRef.current.disconnect();
-        socketRef.current = null;
+  // Set up event listeners only once
+  socketInstance.on("connect", () => {
+    console.log("[Socket] Connected successfully", account.id, socketInstance.id);
+    // Background accounts have no ChatApp joining rooms for them
+    if (activeAccountIdRef.current !== account.id) {
+      readCachedChats(account.id)
+        .then((chats) => chats.forEach((c) => socketInstance.emit("chat:join", c.id || c._id)))
+        .catch((error) => console.error("[Socket] Failed to read cached chats:", error));
+      // Unread counts come from the server so badges survive a reload
+      apiGet("/api/chats", socketInstance.auth?.token)
+        .then((chats) => {
+          const list = Array.isArray(chats) ? chats : [];
+          const counts = (key) =>
+            Object.fromEntries(list.filter((c) => c[key] > 0).map((c) => [String(c.id || c._id), c[key]]));
+          setUnreadByAccount((prev) => ({ ...prev, [account.id]: counts("unreadCount") }));
+          setMentionsByAccount((prev) => ({ ...prev, [account.id]: counts("unreadMentionCount") }));
+        })
+        .catch((error) => console.error("[Socket] Failed to load unread counts:", error));
+    }
+  });
+
+  // Another device read a background account's chat
+  socketInstance.on("chat:read", ({ chatId, unreadCount = 0 } = {}) => {
+    if (activeAccountIdRef.current === account.id || !chatId) return;
+    const id = String(chatId);
+    const apply = (prev) => {
+      const { [id]: _previous, ...rest } = prev[account.id] || {};
+      return { ...prev, [account.id]: unreadCount > 0 ? { ...rest, [id]: unreadCount } : rest };
+    };
+    setUnreadByAccount(apply);
+    if (!unreadCount) setMentionsByAccount(apply);
+  });
+
+  socketInstance.on("connect_error", async (error) => {
+    console.error("[Socket] Connection error:", error.message || error);
+    if (error.message?.includes("Unauthorized")) {
+      // The server rejects auth errors without retrying; renew the token and reconnect
+      console.warn("[Socket] Token rejected, refreshing session");
+      const freshToken = await refreshSessionRef.current(socketInstance.auth?.token);
+      if (freshToken && socketsRef.current.get(account.id) === socketInstance) {
+        socketInstance.auth = { token: freshToken };
+        socketInstance.connect();
       }
-      return null;
     }
-    
-    // If socket already exists and token is the same, reuse it
-    if (socketRef.current) {
-      console.log("[Socket] Reusing existing socket instance");
-      return socketRef.current;
+  });
+
+  socketInstance.on("disconnect", (reason) => {
+    console.log("[Socket] Disconnected:", reason);
+    if (reason === "io server disconnect") {
+      // Server disconnected the socket, need to manually reconnect
+      console.log("[Socket] Server disconnected, attempting reconnect...");
+      socketInstance.connect();
     }
-    
-    console.log("[Socket] Creating new socket instance with token");
-    const socketInstance = io(WS_URL, { 
-      withCredentials: true, 
-      auth: { token },
-      transports: ['websocket', 'polling'],
-      reconnection: true,
-      reconnectionAttempts: 10,
-      reconnectionDelay: 1000,
-      reconnectionDelayMax: 5000,
-      timeout: 20000,
-      forceNew: false,
-      autoConnect: true,
-    });
-    
-    socketRef.current = socketInstance;
-    
-    // Set up event listeners only once
-    socketInstance.on("connect", () => {
-      console.log("[Socket] Connected successfully", socketInstance.id);
-    });
-    
-    socketInstance.on("connect_error", (error) => {
-      console.error("[Socket] Connection error:", error.message || error);
-      if (error.message?.includes("Unauthorized")) {
-        console.error("[Socket] Authentication failed - invalid token");
-      }
+  });
+
+  socketInstance.io.on("reconnect", (attemptNumber) => {
+    console.log("[Socket] Reconnected after", attemptNumber, "attempts");
+  });
+
+  socketInstance.io.on("reconnect_attempt", (attemptNumber) => {
+    console.log("[Socket] Reconnection attempt", attemptNumber);
+  });
+
+  socketInstance.io.on("reconnect_error", (error) => {
+    console.error("[Socket] Reconnection error:", error);
+  });
+
+  socketInstance.io.on("reconnect_failed", () => {
+    console.error("[Socket] Reconnection failed after all attempts");
+  });
+
+  // The active account's ChatApp counts its own unread messages
+  socketInstance.on("message:new", (message) => {
+    if (activeAccountIdRef.current === account.id) return;
+    if (String(message.sender) === String(account.id)) return;
+    const chatId = String(message.chat || message.chatId || "");
+    if (!chatId) return;
+    setUnreadByAccount((prev) => {
+      const counts = prev[account.id] || {};
+      return { ...prev, [account.id]: { ...counts, [chatId]: (counts[chatId] || 0) + 1 } };
     });
-    
-    socketInstance.on("disconnect", (reason) => {
-      console.log("[Socket] Disconnected:", reason);
-      if (reason === "io server disconnect") {
-        // Server disconnected the socket, need to manually reconnect
-        console.log("[Socket] Server disconnected, attempting reconnect...");
-        socketInstance.connect();
+    if (isMentioned(message, account.id)) {
+      setMentionsByAccount((prev) => {
+        const counts = prev[account.id] || {};
+        return { ...prev, [account.id]: { ...counts, [chatId]: (counts[chatId] || 0) + 1 } };
+      });
+    }
+    appendCachedMessage(account.id, chatId, message).catch((error) =>
+      console.error("[Socket] Failed to cache background message:", error)
+    );
+  });
+
+  return socketInstance;
+}
+
+function Inner() {
+  const { isAuthed, accounts, activeAccountId, addingAccount, loading, refreshSession } = useAuth();
+  const socketsRef = useRef(new Map()); // accountId -> socket
+  const refreshSessionRef = useRef(refreshSession);
+  const activeAccountIdRef = useRef(activeAccountId);
+  // accountId -> { chatId -> unread count }; kept here so badges survive account switches
+  const [unreadByAccount, setUnreadByAccount] = useState({});
+  // accountId -> { chatId -> unread messages mentioning that account }
+  const [mentionsByAccount, setMentionsByAccount] = useState({});
+  refreshSessionRef.current = refreshSession;
+  activeAccountIdRef.current = activeAccountId;
+
+
+  // Keep exactly one socket per signed-in account, following token renewals
+  const [sockets, setSockets] = useState(() => new Map());
+  useEffect(() => {
+    const map = socketsRef.current;
+    const ctx = { socketsRef, activeAccountIdRef, refreshSessionRef, setUnreadByAccount, setMentionsByAccount };
+    const live = accounts.filter((a) => a.token && !a.expired);
+    for (const [id, socketInstance] of map) {
+      if (!live.some((a) => a.id === id)) {
+        console.log("[Socket] Account signed out, disconnecting", id);
+        socketInstance.disconnect();
+        map.delete(id);
       }
-    });
-    
-    socketInstance.on("reconnect", (attemptNumber) => {
-      console.log("[Socket] Reconnected after", attemptNumber, "attempts");
-    });
-    
-    socketInstance.on("reconnect_attempt", (attemptNumber) => {
-      console.log("[Socket] Reconnection attempt", attemptNumber);
-    });
-    
-    socketInstance.on("reconnect_error", (error) => {
-      console.error("[Socket] Reconnection error:", error);
-    });
-    
-    socketInstance.on("reconnect_failed", () => {
-      console.error("[Socket] Reconnection failed after all attempts");
-    });
-    
-    return socketInstance;
-  }, [token]);
+    }
+    for (const account of live) {
+      const existing = map.get(account.id);
+      // Renewed tokens are used for the next (re)connection
+      if (existing) existing.auth = { token: account.token };
+      else map.set(account.id, createSocket(account, ctx));
+    }
+    setSockets(new Map(map));
+  }, [accounts]);
 
-  // Clean up socket only on component unmount
+  // Clean up sockets only on component unmount
   useEffect(() => {
+    const map = socketsRef.current;
     return () => {
-      if (socketRef.current) {
-        console.log("[Socket] Component unmounting, cleaning up socket");
-        socketRef.current.disconnect();
-        socketRef.current = null;
-      }
+      console.log("[Socket] Component unmounting, cleaning up sockets");
+      map.forEach((socketInstance) => socketInstance.disconnect());
+      map.clear();
     };
   }, []); // Empty deps - only run on unmount
 
+  const setActiveUnreadCounts = useCallback(
+    (update) => {
+      setUnreadByAccount((prev) => {
+        const current = prev[activeAccountId] || {};
+        const next = typeof update === "function" ? update(current) : update;
+        return next === current ? prev : { ...prev, [activeAccountId]: next };
+      });
+    },
+    [activeAccountId]
+  );
+
+  const setActiveMentionCounts = useCallback(
+    (update) => {
+      setMentionsByAccount((prev) => {
+        const current = prev[activeAccountId] || {};
+        const next = typeof update === "function" ? update(current) : update;
+        return next === current ? prev : { ...prev, [activeAccountId]: next };
+      });
+    },
+    [activeAccountId]
+  );
+
+  const unreadTotals = useMemo(() => {
+    const totals = {};
+    for (const [id, counts] of Object.entries(unreadByAccount)) {
+      totals[id] = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    }
+    return totals;
+  }, [unreadByAccount]);
+
   if (loading) {
     return (
       <div className="centered">
@@ -105,8 +206,18 @@ function Inner() {
     );
   }
 
-  if (!isAuthed) return <AuthPage />;
-  return <ChatApp socket={socket} />;
+  if (!isAuthed || addingAccount) return <AuthPage />;
+  return (
+    <ChatApp
+      key={activeAccountId}
+      socket={sockets.get(activeAccountId) || null}
+      unreadCounts={unreadByAccount[activeAccountId] || {}}
+      setUnreadCounts={setActiveUnreadCounts}
+      mentionCounts={mentionsByAccount[activeAccountId] || {}}
+      setMentionCounts={setActiveMentionCounts}
+      unreadTotals={unreadTotals}
+    />
+  );
 }
 
 export default function App() {
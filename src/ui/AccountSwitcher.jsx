@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import { useAuth } from "../context/AuthContext.jsx";
+
+// Name in the sidebar header; opens a menu of signed-in accounts with their
+// unread totals, plus "Add account".
+export default function AccountSwitcher({ unreadTotals }) {
+  const { user, accounts, activeAccountId, switchAccount, addAccount } = useAuth();
+  const [open, setOpen] = useState(false);
+  const otherUnread = accounts
+    .filter((a) => a.id !== activeAccountId)
+    .reduce((sum, a) => sum + (unreadTotals[a.id] || 0), 0);
+
+  return (
+    <div className="account-switcher">
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        style={{ background: "transparent", color: "var(--text)", padding: 0, fontWeight: 600 }}
+        title="Switch account"
+      >
+        {user?.name || user?.username || "User"} ▾
+        {otherUnread > 0 && <span className="account-badge">{otherUnread}</span>}
+      </button>
+      {open && (
+        <ul className="account-menu">
+          {accounts.map((a) => (
+            <li
+              key={a.id}
+              className={a.id === activeAccountId ? "self" : ""}
+              onClick={() => {
+                setOpen(false);
+                switchAccount(a.id);
+              }}
+            >
+              <span>{a.user?.name || a.user?.username || a.user?.email || "Account"}</span>
+              {a.expired && <span style={{ color: "var(--subtext)", fontSize: 12 }}> (signed out)</span>}
+              {a.id !== activeAccountId && unreadTotals[a.id] > 0 && (
+                <span className="account-badge">{unreadTotals[a.id]}</span>
+              )}
+            </li>
+          ))}
+          <li
+            onClick={() => {
+              setOpen(false);
+              addAccount();
+            }}
+            style={{ color: "var(--accent)" }}
+          >
+            + Add account
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import { useAuth } from "../context/AuthContext.jsx";
+import { formatFileSize, isImageAttachment, loadAttachment } from "../lib/attachments";
+import { useEscapeKey } from "../lib/hooks";
+
+const THUMBNAIL_MAX = 240; // px, longest side
+
+function thumbnailSize({ width, height }) {
+  if (!width || !height) return { width: THUMBNAIL_MAX, height: THUMBNAIL_MAX * 0.75 };
+  const scale = Math.min(1, THUMBNAIL_MAX / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+function Lightbox({ src, name, onClose }) {
+  useEscapeKey(onClose);
+  return createPortal(
+    <div className="lightbox" onClick={onClose}>
+      <img src={src} alt={name} onClick={(e) => e.stopPropagation()} />
+      <div className="lightbox-bar" onClick={(e) => e.stopPropagation()}>
+        <span>{name}</span>
+        <a href={src} download={name}>Download</a>
+        <button type="button" onClick={onClose}>Close</button>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+function ImageAttachment({ attachment }) {
+  const { token } = useAuth();
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(false);
+    loadAttachment(attachment, token)
+      .then((url) => !cancelled && setSrc(url))
+      .catch((err) => {
+        console.error("Failed to load attachment:", err);
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [attachment, token]);
+
+  const size = thumbnailSize(attachment);
+  if (failed) return <FileAttachment attachment={attachment} />;
+  return (
+    <>
+      <button type="button" className="attachment-image" style={size} onClick={() => src && setOpen(true)}>
+        {src ? <img src={src} alt={attachment.name} /> : <span className="undecryptable">Loading image…</span>}
+      </button>
+      {open && <Lightbox src={src} name={attachment.name} onClose={() => setOpen(false)} />}
+    </>
+  );
+}
+
+function FileAttachment({ attachment }) {
+  const { token } = useAuth();
+  const [state, setState] = useState("idle"); // idle | loading | failed
+
+  async function download() {
+    setState("loading");
+    try {
+      const url = await loadAttachment(attachment, token);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      setState("idle");
+    } catch (err) {
+      console.error("Failed to download attachment:", err);
+      setState("failed");
+    }
+  }
+
+  return (
+    <div className="attachment-file">
+      <span className="attachment-icon">📄</span>
+      <span className="attachment-name" title={attachment.name}>
+        {attachment.name}
+        <small>{formatFileSize(attachment.size)}</small>
+      </span>
+      <button type="button" onClick={download} disabled={state === "loading"}>
+        {state === "loading" ? "…" : state === "failed" ? "Retry" : "Download"}
+      </button>
+    </div>
+  );
+}
+
+// Attachment inside a bubble: inline thumbnail for images, download card otherwise
+export default function Attachment({ attachment }) {
+  return isImageAttachment(attachment) ? (
+    <ImageAttachment attachment={attachment} />
+  ) : (
+    <FileAttachment attachment={attachment} />
+  );
+}
@@ -2,9 +2,10 @@ import React, { useState } from 'react'
 import { useAuth } from '../context/AuthContext.jsx'
 
 export default function AuthPage() {
-  const { login, register } = useAuth()
+  const { login, register, expiredSession, accounts, activeAccountId, addingAccount, switchAccount, cancelAddAccount } = useAuth()
+  const otherAccounts = accounts.filter((a) => a.id !== activeAccountId && !a.expired)
   const [mode, setMode] = useState('login')
-  const [form, setForm] = useState({ email: '', password: '', username: '', name: '' })
+  const [form, setForm] = useState({ email: expiredSession?.email || '', password: '', username: '', name: '' })
   const [error, setError] = useState('')
 
   async function handleSubmit(e) {
@@ -14,7 +15,9 @@ export default function AuthPage() {
       if (mode === 'login') await login({ email: form.email, password: form.password })
       else await register(form)
     } catch (e) {
-      setError('Failed. Check details and try again.')
+      // Show the server's reason for client errors (e.g. "Email already in use")
+      const reason = e.status >= 400 && e.status < 500 && e.body?.error
+      setError(reason || 'Failed. Check details and try again.')
     }
   }
 
@@ -22,6 +25,7 @@ export default function AuthPage() {
     <div className="centered">
       <form className="card" onSubmit={handleSubmit}>
         <h1>{mode === 'login' ? 'Login' : 'Register'}</h1>
+        {expiredSession && mode === 'login' && <p>Your session expired. Please log in again.</p>}
         {mode === 'register' && (
           <>
             <input placeholder="Username" value={form.username} onChange={e => setForm({ ...form, username: e.target.value })} />
@@ -36,6 +40,16 @@ export default function AuthPage() {
           style={{ background: 'transparent', color: 'var(--subtext)' }}>
           {mode === 'login' ? 'Create an account' : 'Have an account? Login'}
         </button>
+        {addingAccount && (
+          <button type="button" onClick={cancelAddAccount} style={{ background: 'transparent', color: 'var(--subtext)' }}>
+            Cancel
+          </button>
+        )}
+        {!addingAccount && otherAccounts.map((a) => (
+          <button key={a.id} type="button" onClick={() => switchAccount(a.id)} style={{ background: '#26323a' }}>
+            Continue as {a.user?.name || a.user?.username || a.user?.email}
+          </button>
+        ))}
       </form>
     </div>
   )
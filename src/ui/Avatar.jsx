@@ -0,0 +1,32 @@
+import React from "react";
+
+// Round profile picture, or the name's initial when there is none
+export default function Avatar({ name, url, size = 32 }) {
+  if (url) {
+    return (
+      <img
+        src={url}
+        alt={name || "avatar"}
+        style={{ width: size, height: size, borderRadius: "50%", objectFit: "cover" }}
+      />
+    );
+  }
+  const initial = (name || "?").trim().charAt(0).toUpperCase();
+  return (
+    <div
+      style={{
+        width: size,
+        height: size,
+        borderRadius: "50%",
+        background: "#26323a",
+        display: "grid",
+        placeItems: "center",
+        fontWeight: 700,
+        fontSize: size / 2,
+        color: "#cfd9df",
+      }}
+    >
+      {initial}
+    </div>
+  );
+}
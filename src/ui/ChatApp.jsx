@@ -1,32 +1,196 @@
-import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState, useCallback } from "react";
 import { useAuth } from "../context/AuthContext.jsx";
-import { apiGet, apiPost, apiPut } from "../lib/api";
-import { decryptMessage } from "../utils/cryptoUtils";
+import { apiDelete, apiGet, apiPost, apiPut, isAbortError } from "../lib/api";
+import {
+  appendCachedMessage,
+  readCachedChats,
+  readCachedMembers,
+  readCachedMessages,
+  writeCachedChats,
+  writeCachedMembers,
+  writeCachedMessages,
+} from "../lib/chatCache";
+import { createClientId, deleteOutboxEntry, loadOutbox, saveOutboxEntry } from "../lib/outbox";
+import { uploadAttachment } from "../lib/attachments";
+import {
+  isMuted,
+  MUTE_OPTIONS,
+  muteUntil,
+  notificationsSupported,
+  playNotificationSound,
+  readNotificationPrefs,
+  requestNotificationPermission,
+  setUnreadBadge,
+  showNotification,
+  writeNotificationPrefs,
+} from "../lib/notifications";
+import { chatPath, navigate, useRoute } from "../lib/router";
+import { getIndexedIds, indexMessages, removeFromIndex } from "../lib/searchIndex";
+import { decryptMessage, encryptMessage, envelopeRecipients, DECRYPT_ERRORS } from "../utils/cryptoUtils";
+import { formatDayLabel, isSameDay } from "../utils/dates";
+import { describeSystemMessage, isSystemMessage, normalizeGroupInfo } from "../utils/groupInfo";
+import { decodeBody, encodeBody, isMentioned, makeQuote, previewText } from "../utils/messageBody";
+import AccountSwitcher from "./AccountSwitcher.jsx";
+import Avatar from "./Avatar.jsx";
+import Composer from "./Composer.jsx";
+import ForwardDialog from "./ForwardDialog.jsx";
+import GroupInfoPanel from "./GroupInfoPanel.jsx";
+import MessageBubble from "./MessageBubble.jsx";
+import MessageInfo from "./MessageInfo.jsx";
+import MessageList from "./MessageList.jsx";
+import MessageSearch from "./MessageSearch.jsx";
+import PinnedBanner from "./PinnedBanner.jsx";
+import StarredMessages from "./StarredMessages.jsx";
 
-export default function ChatApp({ socket }) {
-  const { user, token, logout, updateProfile } = useAuth();
+const SEND_ACK_TIMEOUT = 10000;
+// Backoff between resends of a message the server didn't acknowledge
+const ACK_RETRY_BASE_DELAY = 2000;
+const ACK_RETRY_MAX_DELAY = 60000;
+const MESSAGE_PAGE_SIZE = 50;
+// Distance in px from an edge of .messages that still counts as "at" that edge
+const SCROLL_EDGE_THRESHOLD = 80;
+// Batch cache writes so bursts of socket events cost one IndexedDB write
+const CACHE_WRITE_DELAY = 500;
+// Upper bound on older pages fetched while looking for a linked message
+const MAX_JUMP_PAGES = 20;
+const HIGHLIGHT_DURATION = 2500;
+// How long an error from a message action stays above the composer
+const ACTION_ERROR_DURATION = 6000;
+const MAX_PINNED_MESSAGES = 3;
+// Consecutive messages from one sender closer together than this are grouped
+const GROUP_GAP = 5 * 60 * 1000;
+// While keys keep coming, "typing" is re-sent at most this often; a stop goes
+// out after this long without one
+const TYPING_THROTTLE = 3000;
+const TYPING_IDLE = 3000;
+// Receivers drop an indicator that hasn't been refreshed for this long
+const TYPING_TIMEOUT = 6000;
+
+// `unreadCounts` and `mentionCounts` (chatId -> count) are owned by App so
+// each signed-in account keeps its badges while another account is active.
+export default function ChatApp({
+  socket,
+  unreadCounts,
+  setUnreadCounts,
+  mentionCounts,
+  setMentionCounts,
+  unreadTotals,
+}) {
+  const { user, token, logout, updateProfile, activeAccountId } = useAuth();
   const [loading, setLoading] = useState(true);
   const [chats, setChats] = useState([]);
   const [active, setActive] = useState(null);
   const [messages, setMessages] = useState([]);
-  const [input, setInput] = useState("");
+  const [plaintexts, setPlaintexts] = useState({}); // messageId -> decryptMessage result plus decoded `body`
+  const [replyTarget, setReplyTarget] = useState(null); // message being replied to
+  const [editTarget, setEditTarget] = useState(null); // own message being edited in the composer
+  const [selectedIds, setSelectedIds] = useState(() => new Set()); // multi-selected message keys
+  const [forwarding, setForwarding] = useState(null); // { messages, jobs? } while the forward dialog is open
+  const [infoMessageId, setInfoMessageId] = useState(null); // own message shown in the message info dialog
+  const [actionError, setActionError] = useState(null); // failed edit/delete/pin/star, shown above the composer
+  const [starred, setStarred] = useState([]); // [{ messageId, chatId, starredAt, message }], newest first
+  const [showStarred, setShowStarred] = useState(false);
+  const [notificationPrefs, setNotificationPrefs] = useState(() => readNotificationPrefs(user?.id));
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : "unsupported"
+  );
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  const notificationPrefsRef = useRef(notificationPrefs);
+  const unreadCountsRef = useRef(unreadCounts);
   const [presence, setPresence] = useState({});
+  const [history, setHistory] = useState({ loaded: false, hasMore: false, cursor: null, loadingOlder: false });
+  const [highlightedId, setHighlightedId] = useState(null);
+  // Unread state captured when the chat was opened: { chatId, count, lastReadId, messageId? }
+  // where messageId is the first unread message once it has been located
+  const [unreadMarker, setUnreadMarker] = useState(null);
+  const [atBottom, setAtBottom] = useState(true);
+  const [newBelow, setNewBelow] = useState(0); // messages that arrived while scrolled up
+  const [pageVisible, setPageVisible] = useState(() => !document.hidden);
+  const reportedSeenRef = useRef(new Set()); // message ids already sent in message:seen
+  const route = useRoute();
+  const routeRef = useRef(route);
+  const chatsRef = useRef([]);
+  const plaintextsRef = useRef({});
+  const historyRef = useRef(history);
+  const listApiRef = useRef(null);
+  const pendingScrollRef = useRef(null); // message id to bring into view once rendered
   const endRef = useRef(null);
+  const messagesRef = useRef(null);
+  const atBottomRef = useRef(true);
+  const scrollAnchorRef = useRef(null);
+  const loadingOlderRef = useRef(false);
   const activeRef = useRef(null);
   const userRef = useRef(null);
+  // Session renewals replace the token; effects read it here so a renewal
+  // doesn't reload the open chat
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
+  const signedIn = !!token;
+  const [typingUsers, setTypingUsers] = useState({}); // chatId -> [userId] of members typing there
+  const typingTimersRef = useRef(new Map()); // "chatId:userId" -> expiry timer
+  const ownTypingRef = useRef(null); // { chatId, sentAt, idleTimer } while we're typing
   const [query, setQuery] = useState("");
   const [searchResults, setSearchResults] = useState([]);
   const [searching, setSearching] = useState(false);
   const [editingProfile, setEditingProfile] = useState(false);
   const [profileForm, setProfileForm] = useState({ name: "", avatarUrl: "" });
   const [showGroupInfo, setShowGroupInfo] = useState(false);
-  const [groupMembers, setGroupMembers] = useState({ members: [], admin: null });
+  const [groupMembers, setGroupMembers] = useState({ members: [], admins: [], owner: null }); // plus the chatId they belong to
   const [groupMode, setGroupMode] = useState(false);
   const [groupName, setGroupName] = useState("");
   const [selectedMembers, setSelectedMembers] = useState([]);
-  const [unreadCounts, setUnreadCounts] = useState({}); // chatId -> count
   const [socketConnected, setSocketConnected] = useState(false);
-  
+  const [outbox, setOutbox] = useState([]); // unacknowledged messages, persisted in IndexedDB
+  const outboxRef = useRef([]);
+  const flushingRef = useRef(false);
+  const ackRetryRef = useRef({ attempts: 0, timer: null }); // resend schedule after a missing ack
+  const [uploads, setUploads] = useState([]); // attachments being encrypted/uploaded, not persisted
+  const uploadControllersRef = useRef(new Map()); // upload id -> AbortController
+  const [draggingFiles, setDraggingFiles] = useState(false);
+
+  // Messages shown in the active chat: server history plus our unsent outbox entries
+  const visibleMessages = useMemo(() => {
+    const list = Array.isArray(messages) ? messages : [];
+    if (!active) return list;
+    const activeId = String(active.id || active._id);
+    const sentClientIds = new Set(list.map((m) => m.clientId).filter(Boolean));
+    const queued = outbox
+      .filter((e) => e.chatId === activeId && !sentClientIds.has(e.clientId))
+      .map((e) => ({
+        id: e.clientId,
+        clientId: e.clientId,
+        chat: e.chatId,
+        sender: e.userId,
+        content: e.content,
+        createdAt: e.createdAt,
+        status: {},
+        outboxState: e.state,
+        outboxError: e.error,
+        replyTo: e.replyTo,
+      }));
+    return queued.length ? [...list, ...queued] : list;
+  }, [messages, outbox, active]);
+
+  // The open chat as currently known. `active` only changes when switching
+  // chats; socket updates (name, members, pins) land in the chat list.
+  const activeChat = useMemo(() => {
+    if (!active) return null;
+    const activeId = String(active.id || active._id);
+    return (Array.isArray(chats) ? chats : []).find((c) => String(c.id || c._id) === activeId) || active;
+  }, [chats, active]);
+  const activePins = useMemo(
+    () => (Array.isArray(activeChat?.pinnedMessages) ? activeChat.pinnedMessages : []),
+    [activeChat]
+  );
+  const starredIds = useMemo(() => new Set(starred.map((s) => String(s.messageId))), [starred]);
+
+  routeRef.current = route;
+  historyRef.current = history;
+  chatsRef.current = chats;
+  plaintextsRef.current = plaintexts;
+  notificationPrefsRef.current = notificationPrefs;
+  unreadCountsRef.current = unreadCounts;
+
   // Keep refs in sync with state
   useEffect(() => {
     activeRef.current = active;
@@ -41,25 +205,45 @@ export default function ChatApp({ socket }) {
       setSearchResults([]);
       return;
     }
+    const controller = new AbortController();
     const debounce = setTimeout(async () => {
       setSearching(true);
       try {
-        const results = await apiGet(`/api/users?q=${encodeURIComponent(query)}`, token);
+        const results = await apiGet(`/api/users?q=${encodeURIComponent(query)}`, tokenRef.current, {
+          signal: controller.signal,
+        });
         setSearchResults(results.filter((u) => u.id !== user?.id));
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error("Search failed:", err);
         setSearchResults([]);
       } finally {
-        setSearching(false);
+        if (!controller.signal.aborted) setSearching(false);
       }
     }, 300);
-    return () => clearTimeout(debounce);
-  }, [query, token, user]);
+    return () => {
+      clearTimeout(debounce);
+      controller.abort();
+    };
+  }, [query, user?.id]);
 
   useEffect(() => {
+    if (!signedIn || !user?.id) return;
+    const userId = user.id;
+    let fresh = false;
+    // Render the cached chat list right away; the API response below replaces it
+    readCachedChats(userId)
+      .then((cached) => {
+        if (fresh || !cached.length) return;
+        setChats(cached);
+        selectInitialChat(cached);
+        setLoading(false);
+      })
+      .catch((err) => console.error("Failed to read cached chats:", err));
     async function loadChats() {
       try {
-        const data = await apiGet("/api/chats", token);
+        const data = await apiGet("/api/chats", tokenRef.current);
+        fresh = true;
         // Ensure we always keep chats as an array. Some APIs may return
         // a single object in edge cases — coerce to array to avoid runtime
         // errors where .map/.some are expected.
@@ -75,10 +259,12 @@ export default function ChatApp({ socket }) {
             }
           });
           setChats(uniqueChats);
-          if (uniqueChats.length > 0 && !active) setActive(uniqueChats[0]);
+          seedUnreadCounts(uniqueChats);
+          selectInitialChat(uniqueChats);
         } else if (data) {
           setChats([data]);
-          if (!active) setActive(data);
+          seedUnreadCounts([data]);
+          selectInitialChat([data]);
         } else {
           setChats([]);
         }
@@ -88,36 +274,167 @@ export default function ChatApp({ socket }) {
         setLoading(false);
       }
     }
-    if (token) loadChats();
-  }, [token]);
+    loadChats();
+  }, [signedIn, user?.id]);
+
+  function updateNotificationPrefs(update) {
+    setNotificationPrefs((prev) => {
+      const next = { ...prev, ...update(prev) };
+      if (user?.id) writeNotificationPrefs(user.id, next);
+      return next;
+    });
+  }
 
+  function setChatMute(chatId, option) {
+    updateNotificationPrefs(({ mutes }) => {
+      const { [chatId]: _previous, ...rest } = mutes;
+      return { mutes: option ? { ...rest, [chatId]: muteUntil(option) } : rest };
+    });
+  }
+
+  // Drop timed mutes when they run out, so badges and alerts come back
   useEffect(() => {
-    if (!active) {
-      setMessages([]);
-      return;
-    }
+    const expiries = Object.values(notificationPrefs.mutes)
+      .filter((until) => until !== "always")
+      .map((until) => new Date(until).getTime());
+    if (!expiries.length) return;
+    // setTimeout overflows past ~24.8 days; a week is the longest timed mute
+    const timer = setTimeout(() => {
+      setNotificationPrefs((prev) => {
+        const mutes = Object.fromEntries(Object.entries(prev.mutes).filter(([chatId]) => isMuted(prev.mutes, chatId)));
+        const next = { ...prev, mutes };
+        if (user?.id) writeNotificationPrefs(user.id, next);
+        return next;
+      });
+    }, Math.max(0, Math.min(...expiries) - Date.now()) + 1000);
+    return () => clearTimeout(timer);
+  }, [notificationPrefs.mutes, user?.id]);
+
+  // Tab title and favicon count unread messages of every signed-in account,
+  // leaving out this account's muted chats
+  useEffect(() => {
+    const others = Object.entries(unreadTotals || {})
+      .filter(([accountId]) => accountId !== activeAccountId)
+      .reduce((sum, [, n]) => sum + n, 0);
+    const own = Object.entries(unreadCounts)
+      .filter(([chatId]) => !isMuted(notificationPrefs.mutes, chatId))
+      .reduce((sum, [, n]) => sum + n, 0);
+    setUnreadBadge(others + own);
+  }, [unreadTotals, unreadCounts, notificationPrefs.mutes, activeAccountId]);
+
+  useEffect(() => () => setUnreadBadge(0), []);
+
+  // The server tracks unread counts per chat; its numbers replace whatever
+  // was counted from live events. The open chat is being read already.
+  function seedUnreadCounts(list) {
+    const current = activeRef.current;
+    const activeId = current ? String(current.id || current._id) : null;
+    const counts = (key) =>
+      Object.fromEntries(
+        list
+          .filter((c) => c[key] > 0 && String(c.id || c._id) !== activeId)
+          .map((c) => [String(c.id || c._id), c[key]])
+      );
+    setUnreadCounts(counts("unreadCount"));
+    setMentionCounts(counts("unreadMentionCount"));
+  }
+
+  useEffect(() => {
+    const update = () => setPageVisible(!document.hidden);
+    document.addEventListener("visibilitychange", update);
+    return () => document.removeEventListener("visibilitychange", update);
+  }, []);
+
+  // Stars are kept on the server so they follow the account across devices
+  useEffect(() => {
+    if (!signedIn || !user?.id) return;
+    const controller = new AbortController();
+    apiGet("/api/stars", tokenRef.current, { signal: controller.signal })
+      .then((data) => setStarred(Array.isArray(data) ? data : []))
+      .catch((err) => {
+        if (!isAbortError(err)) console.error("Failed to load starred messages:", err);
+      });
+    return () => controller.abort();
+  }, [signedIn, user?.id]);
+
+  useEffect(() => {
+    if (loading || !user?.id) return;
+    const userId = user.id;
+    const timer = setTimeout(() => {
+      writeCachedChats(userId, Array.isArray(chats) ? chats : []).catch((err) =>
+        console.error("Failed to cache chats:", err)
+      );
+    }, CACHE_WRITE_DELAY);
+    return () => clearTimeout(timer);
+  }, [chats, loading, user?.id]);
+
+  useEffect(() => {
+    stopTyping();
+    setHistory({ loaded: false, hasMore: false, cursor: null, loadingOlder: false });
+    setHighlightedId(null);
+    setReplyTarget(null);
+    setEditTarget(null);
+    setSelectedIds(new Set());
+    setInfoMessageId(null);
+    setActionError(null);
+    setAtBottom(true);
+    setNewBelow(0);
+    atBottomRef.current = true;
+    setMessages([]);
+    if (!active) return;
     // Ensure our socket is subscribed to the active chat room for reliable room broadcasts
     try {
       if (socket) {
         socket.emit("chat:join", active.id || active._id);
       }
     } catch {}
+    const chatId = String(active.id || active._id);
+    const controller = new AbortController();
+    let fresh = false;
+    if (user?.id) {
+      readCachedMessages(user.id, chatId)
+        .then((cached) => {
+          if (fresh || !cached.length) return;
+          if (String(activeRef.current?.id || activeRef.current?._id) !== chatId) return;
+          setMessages(cached);
+        })
+        .catch((err) => console.error("Failed to read cached messages:", err));
+    }
     async function loadMessages() {
       try {
+        // Newest page first; older pages are fetched as the user scrolls up
         const data = await apiGet(
-          `/api/chats/${active.id || active._id}/messages`,
-          token
+          `/api/chats/${chatId}/messages?limit=${MESSAGE_PAGE_SIZE}`,
+          tokenRef.current,
+          { signal: controller.signal }
         );
-        // Ensure messages is always an array
-        if (Array.isArray(data)) setMessages(data);
-        else if (data) setMessages([data]);
-        else setMessages([]);
+        fresh = true;
+        if (String(activeRef.current?.id || activeRef.current?._id) !== chatId) return;
+        const page = normalizeMessagePage(data);
+        setMessages(page.items);
+        setHistory({ loaded: true, hasMore: page.hasMore, cursor: page.cursor, loadingOlder: false });
       } catch (err) {
-        console.error("Failed to load messages:", err);
+        if (!isAbortError(err)) console.error("Failed to load messages:", err);
       }
     }
     loadMessages();
-  }, [active, token]);
+    // Switching chats cancels the previous chat's request
+    return () => controller.abort();
+  }, [active]);
+
+  // Keep the newest messages of the open chat cached for the next startup
+  useEffect(() => {
+    if (!active || !user?.id || !messages.length) return;
+    const userId = user.id;
+    const chatId = String(active.id || active._id);
+    const snapshot = messages;
+    const timer = setTimeout(() => {
+      writeCachedMessages(userId, chatId, snapshot).catch((err) =>
+        console.error("Failed to cache messages:", err)
+      );
+    }, CACHE_WRITE_DELAY);
+    return () => clearTimeout(timer);
+  }, [messages, active, user?.id]);
 
   // When socket connects or chats list changes, join all chat rooms to guarantee delivery
   useEffect(() => {
@@ -128,22 +445,151 @@ export default function ChatApp({ socket }) {
     } catch {}
   }, [socket, chats]);
 
+  // Action errors clear themselves; a different one restarts the timer
+  useEffect(() => {
+    if (!actionError) return;
+    const timer = setTimeout(() => setActionError(null), ACTION_ERROR_DURATION);
+    return () => clearTimeout(timer);
+  }, [actionError]);
+
+  // Follow new messages only when the user is already reading the bottom
   useEffect(() => {
+    if (!atBottomRef.current) return;
     endRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [visibleMessages]);
+
+  // Keep the viewport still when an older page is prepended above it
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    const el = messagesRef.current;
+    if (!anchor || !el) return;
+    scrollAnchorRef.current = null;
+    el.scrollTop = el.scrollHeight - anchor.height + anchor.top;
   }, [messages]);
 
+  // Decrypt new messages in the background. Failures caused by a missing
+  // member key are retried once the chat list brings fresher member data.
+  // The open chat and known results are read through refs so that storing
+  // results doesn't re-run it; switching chats changes the messages anyway.
+  useEffect(() => {
+    const active = activeRef.current;
+    const plaintexts = plaintextsRef.current;
+    if (!active || !user?.id) return;
+    const activeId = String(active.id || active._id);
+    const chat = (Array.isArray(chats) ? chats : []).find((c) => String(c.id || c._id) === activeId) || active;
+    // Pins may be older than the loaded history; the banner needs their text too
+    const loaded = new Set(visibleMessages.map(messageKey));
+    const candidates = [...visibleMessages, ...activePins.filter((m) => !loaded.has(messageKey(m)))];
+    const pending = candidates.filter((m) => {
+      if (m.deleted || isSystemMessage(m)) return false;
+      const result = plaintexts[messageKey(m)];
+      return !result || result.reason === DECRYPT_ERRORS.NO_PEER_KEY;
+    });
+    if (!pending.length) return;
+    Promise.all(
+      pending.map(async (m) => {
+        const result = await decryptMessage(m.content, { chat, senderId: m.sender, selfId: user.id });
+        if (!result.ok) return [messageKey(m), result];
+        const body = decodeBody(result.text);
+        return [messageKey(m), { ok: true, text: body.text, body }];
+      })
+    ).then((entries) => {
+      setPlaintexts((prev) => ({ ...prev, ...Object.fromEntries(entries) }));
+      const docs = pending.flatMap((m, i) => (m.outboxState ? [] : searchDocs(m, entries[i][1], activeId)));
+      indexMessages(user.id, docs).catch((err) => console.error("[Search] Failed to index messages:", err));
+    });
+  }, [visibleMessages, activePins, chats, user?.id]);
+
+  // Index cached history of every chat once per session, so search covers
+  // chats that haven't been opened yet
+  useEffect(() => {
+    if (loading || !user?.id) return;
+    const userId = user.id;
+    let cancelled = false;
+    (async () => {
+      for (const chat of chatsRef.current) {
+        if (cancelled) return;
+        const chatId = String(chat.id || chat._id);
+        try {
+          const [cached, indexed] = await Promise.all([readCachedMessages(userId, chatId), getIndexedIds(userId, chatId)]);
+          const missing = cached.filter((m) => !m.deleted && !isSystemMessage(m) && !indexed.has(messageKey(m)));
+          const docs = [];
+          for (const m of missing) {
+            const result = await decryptMessage(m.content, { chat, senderId: m.sender, selfId: userId });
+            if (result.ok) docs.push(...searchDocs(m, { ok: true, body: decodeBody(result.text) }, chatId));
+          }
+          if (!cancelled) await indexMessages(userId, docs);
+        } catch (err) {
+          console.error("[Search] Backfill failed for chat", chatId, err);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [loading, user?.id]);
+
+  // Restore messages that were still queued when the page was closed; the
+  // flush runs through a ref so the latest render's socket is used
+  const flushOutboxRef = useRef(null);
+  flushOutboxRef.current = flushOutbox;
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+    loadOutbox(user.id)
+      .then((entries) => {
+        if (cancelled) return;
+        // Anything caught mid-flight is retried; the clientId keeps it idempotent
+        const restored = entries.map((e) => (e.state === "sending" ? { ...e, state: "pending" } : e));
+        outboxRef.current = restored;
+        setOutbox(restored);
+        flushOutboxRef.current();
+      })
+      .catch((err) => console.error("[Outbox] Failed to load outbox:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  // Uploads live in memory only; stop them when this account's view goes away
+  useEffect(() => {
+    const controllers = uploadControllersRef.current;
+    return () => controllers.forEach((controller) => controller.abort());
+  }, []);
+
+  useEffect(() => {
+    const retry = ackRetryRef.current;
+    return () => clearTimeout(retry.timer);
+  }, []);
+
   useEffect(() => {
-    if (!active?.isGroup || !showGroupInfo) return;
+    // Loaded for every group, not just the info panel: @mentions need the full list
+    if (!active?.isGroup) return;
+    const chatId = String(active.id || active._id);
+    let fresh = false;
+    if (user?.id) {
+      readCachedMembers(user.id, chatId)
+        .then((cached) => {
+          if (!fresh && cached) setGroupMembers({ ...normalizeGroupInfo(cached), chatId });
+        })
+        .catch((err) => console.error("Failed to read cached members:", err));
+    }
     async function loadMembers() {
       try {
-        const info = await apiGet(`/api/chats/${active.id || active._id}/members`, token);
-        setGroupMembers(info);
+        const info = await apiGet(`/api/chats/${chatId}/members`, tokenRef.current);
+        fresh = true;
+        setGroupMembers({ ...normalizeGroupInfo(info), chatId });
+        if (user?.id) {
+          writeCachedMembers(user.id, chatId, info).catch((err) =>
+            console.error("Failed to cache members:", err)
+          );
+        }
       } catch (err) {
         console.error("Failed to load group members:", err);
       }
     }
     loadMembers();
-  }, [active, showGroupInfo, token]);
+  }, [active, showGroupInfo]);
 
   useEffect(() => {
     if (!socket) {
@@ -172,6 +618,7 @@ export default function ChatApp({ socket }) {
     const handleConnect = () => {
       console.info("[ChatApp] Socket connected", socket.id);
       setSocketConnected(true);
+      flushOutbox();
     };
     
     const handleDisconnect = (reason) => {
@@ -182,11 +629,8 @@ export default function ChatApp({ socket }) {
     const handleConnectError = (err) => {
       console.error("[ChatApp] Socket connection error", err.message || err);
       setSocketConnected(false);
-      // Check if it's an authentication error
-      if (err.message?.includes("Unauthorized") || err.message?.includes("Authentication")) {
-        console.error("[ChatApp] Authentication failed - token may be invalid");
-        alert("Authentication failed. Please log in again.");
-      }
+      // Auth errors are recovered by the session refresh in App; an expired
+      // session signs the user out to the login page
     };
     
     const handleReconnect = (attemptNumber) => {
@@ -228,6 +672,14 @@ export default function ChatApp({ socket }) {
         return;
       }
 
+      // A message ends its sender's typing indicator
+      if (message.sender) setTyping(String(chatId), String(message.sender), false);
+
+      // Our own message echoed back before (or instead of) the send ack
+      if (message.clientId && outboxRef.current.some((e) => e.clientId === message.clientId)) {
+        acknowledgeOutboxEntry(message.clientId, message);
+      }
+
       // Use refs to get latest active and user values
       const currentActive = activeRef.current;
       const currentUser = userRef.current;
@@ -249,18 +701,27 @@ export default function ChatApp({ socket }) {
           return [...list, message];
         });
 
-        // If message is from other user, acknowledge delivered and seen
+        // If message is from other user, acknowledge delivery; it is reported
+        // as seen once the page is visible
         if (socket && socket.connected && String(message.sender) !== String(currentUser?.id)) {
           try {
-            console.log("[Frontend] Marking message as delivered and seen");
+            console.log("[Frontend] Marking message as delivered");
             socket.emit("message:delivered", { messageId: message.id || message._id });
-            socket.emit("message:seen", { messageIds: [message.id || message._id] });
           } catch (err) {
-            console.error("[Frontend] Failed to mark message as seen:", err);
+            console.error("[Frontend] Failed to mark message as delivered:", err);
           }
         }
+        if (!atBottomRef.current && String(message.sender) !== String(currentUser?.id)) {
+          setNewBelow((n) => n + 1);
+        }
       } else {
         console.log("[Frontend] Message received for inactive chat, will update chat list only");
+        indexIncomingMessage(message, chatId);
+        if (currentUser?.id) {
+          appendCachedMessage(currentUser.id, chatId, message).catch((err) =>
+            console.error("Failed to cache incoming message:", err)
+          );
+        }
       }
 
       setChats((prev) => {
@@ -297,7 +758,7 @@ export default function ChatApp({ socket }) {
         } else {
           (async () => {
             try {
-              const chat = await apiGet(`/api/chats/${chatId}`, token);
+              const chat = await apiGet(`/api/chats/${chatId}`, tokenRef.current);
               setChats((cur) => {
                 const currentList = Array.isArray(cur) ? cur : [];
                 const chatIdStr2 = String(chat.id || chat._id);
@@ -318,26 +779,91 @@ export default function ChatApp({ socket }) {
         }
       });
 
-      // Increment unread count if message not for active chat or not focused on it
-      if (!isActive && String(message.sender) !== String(currentUser?.id)) {
+      // Increment unread count if message not for active chat or not focused on it.
+      // Group system messages ("X added Y") don't count as unread.
+      const fromOther = String(message.sender) !== String(currentUser?.id) && !isSystemMessage(message);
+      if ((!isActive || document.hidden) && fromOther) {
         setUnreadCounts((prev) => {
           const id = String(chatId);
           const next = { ...prev };
           next[id] = (next[id] || 0) + 1;
           return next;
         });
+        if (isMentioned(message, currentUser?.id)) {
+          setMentionCounts((prev) => ({ ...prev, [String(chatId)]: (prev[String(chatId)] || 0) + 1 }));
+        }
+      }
+      if (fromOther && (!isActive || document.hidden)) {
+        notifyIncoming(message, chatId);
       }
     }
 
-    function handleTypingEvent(data) {
-      setChats((prev) => {
-        const list = Array.isArray(prev) ? prev : [];
-        return list.map((c) =>
-          (c.id || c._id) === data.chatId ? { ...c, typing: data.typing } : c
-        );
+    function handleReactionEvent({ messageId, userId, emoji } = {}) {
+      if (!messageId || !userId) return;
+      applyMessagePatch(messageId, (m) => ({ ...m, reactions: withReaction(m.reactions, userId, emoji) }));
+    }
+
+    function handleMessageUpdated(update) {
+      const messageId = update?.id || update?._id || update?.messageId;
+      if (!messageId) return;
+      applyMessageEdit(messageId, {
+        content: update.content,
+        edited: true,
+        editedAt: update.editedAt || new Date().toISOString(),
+      });
+    }
+
+    function handleMessageDeleted({ messageId, scope } = {}) {
+      if (!messageId) return;
+      applyMessageDelete(messageId, scope);
+    }
+
+    // Read position changed, here or on another of this account's devices
+    function handleChatRead({ chatId, lastReadMessageId, unreadCount = 0 } = {}) {
+      if (!chatId) return;
+      const id = String(chatId);
+      setChats((prev) =>
+        (Array.isArray(prev) ? prev : []).map((c) =>
+          String(c.id || c._id) === id ? { ...c, lastReadMessageId, unreadCount } : c
+        )
+      );
+      setUnreadCounts((prev) => {
+        if ((prev[id] || 0) === unreadCount) return prev;
+        const { [id]: _previous, ...rest } = prev;
+        return unreadCount > 0 ? { ...rest, [id]: unreadCount } : rest;
+      });
+      if (!unreadCount) {
+        setMentionCounts((prev) => {
+          if (!prev[id]) return prev;
+          const { [id]: _cleared, ...rest } = prev;
+          return rest;
+        });
+      }
+    }
+
+    function handleChatRemoved({ chatId } = {}) {
+      if (chatId) removeChatLocally(chatId);
+    }
+
+    function handlePinsEvent({ chatId, pinnedMessages } = {}) {
+      if (!chatId || !Array.isArray(pinnedMessages)) return;
+      setChatPins(chatId, pinnedMessages);
+    }
+
+    // Stars made on this account's other devices
+    function handleStarEvent({ messageId, chatId, starred: isStarred, starredAt, message } = {}) {
+      if (!messageId) return;
+      setStarred((prev) => {
+        const rest = prev.filter((s) => String(s.messageId) !== String(messageId));
+        return isStarred ? [{ messageId: String(messageId), chatId, starredAt, message }, ...rest] : rest;
       });
     }
 
+    function handleTypingEvent({ chatId, userId, typing } = {}) {
+      if (!chatId || !userId || String(userId) === String(userRef.current?.id)) return;
+      setTyping(String(chatId), String(userId), !!typing);
+    }
+
     socket.on("message:new", handleNewMessage);
     socket.on("chat:created", (chat) => {
       if (!chat) return;
@@ -362,31 +888,19 @@ export default function ChatApp({ socket }) {
       });
       try { socket.emit("chat:join", chat.id || chat._id); } catch {}
     });
-    socket.on("message:status", ({ messageId, userId, status }) => {
-      // Update local message status ticks for sender's view
-      setMessages((prev) => {
-        const list = Array.isArray(prev) ? prev : [];
-        return list.map((m) => {
-          const mid = String(m.id || m._id);
-          if (mid !== String(messageId)) return m;
-          const st = { ...(m.status || {}) };
-          st[userId] = status;
-          return { ...m, status: st };
-        });
-      });
-      // Also update lastMessage copy inside chats list
-      setChats((prev) => {
-        const list = Array.isArray(prev) ? prev : [];
-        return list.map((c) => {
-          const lm = c.lastMessage;
-          if (!lm) return c;
-          if (String(lm.id || lm._id) !== String(messageId)) return c;
-          const st = { ...(lm.status || {}) };
-          st[userId] = status;
-          return { ...c, lastMessage: { ...lm, status: st } };
-        });
-      });
+    socket.on("message:status", ({ messageId, userId, status, at }) => {
+      // Update local message status ticks and receipts for sender's view
+      if (!messageId || !userId) return;
+      applyMessagePatch(messageId, (m) => withStatus(m, userId, status, at));
     });
+    socket.on("message:reaction", handleReactionEvent);
+    socket.on("message:updated", handleMessageUpdated);
+    socket.on("message:deleted", handleMessageDeleted);
+    socket.on("chat:read", handleChatRead);
+    socket.on("chat:updated", applyChatUpdate);
+    socket.on("chat:removed", handleChatRemoved);
+    socket.on("chat:pins", handlePinsEvent);
+    socket.on("star:updated", handleStarEvent);
     socket.on("typing", handleTypingEvent);
     socket.on("user:presence", (data) => {
       setChats((prev) => {
@@ -412,6 +926,14 @@ export default function ChatApp({ socket }) {
         // Remove listeners using the handler functions
         socket.off("message:new", handleNewMessage);
         socket.off("typing", handleTypingEvent);
+        socket.off("message:reaction", handleReactionEvent);
+        socket.off("message:updated", handleMessageUpdated);
+        socket.off("message:deleted", handleMessageDeleted);
+        socket.off("chat:read", handleChatRead);
+        socket.off("chat:updated", applyChatUpdate);
+        socket.off("chat:removed", handleChatRemoved);
+        socket.off("chat:pins", handlePinsEvent);
+        socket.off("star:updated", handleStarEvent);
         socket.off("message:status");
         socket.off("chat:created");
         socket.off("user:presence");
@@ -426,226 +948,1086 @@ export default function ChatApp({ socket }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [socket]); // Only re-run when socket instance changes
 
-  async function send(e) {
-    e?.preventDefault();
-    if (!active || !input.trim()) {
-      console.warn("[Frontend] Cannot send: missing active chat or input");
-      return;
-    }
-    
-    if (!socket) {
-      console.error("[Frontend] Socket not initialized");
-      alert("Socket not initialized. Please refresh the page.");
-      return;
-    }
-    
-    // Check socket connection status - use socket.connected directly
-    if (!socket.connected) {
-      console.warn("[Frontend] Socket not connected, attempting to reconnect...");
-      // Try to manually connect if not already connecting
-      if (!socket.connecting && !socket.disconnected) {
-        socket.connect();
-      }
-      // Wait a bit for connection (with timeout)
-      const maxWait = 5000; // 5 seconds
-      const checkInterval = 200; // Check every 200ms
-      let waited = 0;
-      
-      while (!socket.connected && waited < maxWait) {
-        await new Promise(resolve => setTimeout(resolve, checkInterval));
-        waited += checkInterval;
-        if (socket.connected) {
-          console.log("[Frontend] Socket connected after waiting");
-          setSocketConnected(true);
-          break;
-        }
-      }
-      
-      if (!socket.connected) {
-        console.error("[Frontend] Socket still not connected after waiting");
-        setSocketConnected(false);
-        alert("Not connected to server. Please check your connection and refresh the page.");
-        return;
-      }
-    }
-
-    console.log("[Frontend] Sending message:", { chatId: active.id || active._id, content: input.trim() });
-    const tempId = `temp-${Date.now()}`;
-    const chatId = active.id || active._id;
-    const messageContent = input.trim();
-    
-    const optimisticMsg = {
-      id: tempId,
-      chat: chatId,
-      sender: user.id,
-      content: messageContent,
-      createdAt: new Date().toISOString(),
-      status: { [user.id]: "sent" },
-      optimistic: true,
-    };
-    setMessages((prev) => [...prev, optimisticMsg]);
-    setInput("");
-
+  // Resolves to the fetched page's messages, or null if nothing was loaded
+  async function loadOlderMessages() {
+    const { hasMore, cursor } = historyRef.current;
+    if (!active || !hasMore || !cursor || loadingOlderRef.current) return null;
+    const chatId = String(active.id || active._id);
+    loadingOlderRef.current = true;
+    setHistory((h) => ({ ...h, loadingOlder: true }));
     try {
-      socket.emit(
-        "message:send",
-        {
-          chatId: chatId,
-          content: messageContent,
-        },
-        (ack) => {
-          console.log("[Frontend] Received ack from server:", ack);
-          if (ack && ack.ok && ack.message) {
-            console.log("[Frontend] Message sent successfully, updating with real message");
-            setMessages((prev) => {
-              const list = Array.isArray(prev) ? prev : [];
-              const realId = ack.message.id || ack.message._id;
-              const already = list.some((m) => String(m.id || m._id) === String(realId));
-              if (already) {
-                // Remove optimistic message if real message already exists
-                return list.filter((m) => m.id !== tempId);
-              }
-              // Replace optimistic message with real one
-              return list.map((m) => (m.id === tempId ? ack.message : m));
-            });
-          } else if (ack && ack.error) {
-            console.error("[Frontend] Message send failed:", ack.error);
-            setMessages((prev) => {
-              const list = Array.isArray(prev) ? prev : [];
-              return list.filter((m) => m.id !== tempId);
-            });
-            alert("Message failed: " + ack.error);
-          } else {
-            console.warn("[Frontend] Unexpected ack format:", ack);
-          }
-        }
+      const data = await apiGet(
+        `/api/chats/${chatId}/messages?limit=${MESSAGE_PAGE_SIZE}&before=${encodeURIComponent(cursor)}`,
+        token
       );
-    } catch (err) {
-      console.error("[Frontend] Exception while sending message:", err);
+      if (String(activeRef.current?.id || activeRef.current?._id) !== chatId) return null;
+      const page = normalizeMessagePage(data);
+      const el = messagesRef.current;
+      if (el) scrollAnchorRef.current = { height: el.scrollHeight, top: el.scrollTop };
       setMessages((prev) => {
         const list = Array.isArray(prev) ? prev : [];
-        return list.filter((m) => m.id !== tempId);
+        const known = new Set(list.map((m) => String(m.id || m._id)));
+        return [...page.items.filter((m) => !known.has(String(m.id || m._id))), ...list];
       });
-      alert("Failed to send message. Please try again.");
+      historyRef.current = { loaded: true, hasMore: page.hasMore, cursor: page.cursor, loadingOlder: false };
+      setHistory(historyRef.current);
+      return page.items;
+    } catch (err) {
+      console.error("Failed to load older messages:", err);
+      setHistory((h) => ({ ...h, loadingOlder: false }));
+      return null;
+    } finally {
+      loadingOlderRef.current = false;
+    }
+  }
+
+  // Scrolls to and highlights a message, paging back through history until
+  // it is found. Returns false if it couldn't be located.
+  async function jumpToMessage(messageId) {
+    const target = String(messageId);
+    const chatId = String(active?.id || active?._id);
+    let found = (Array.isArray(messages) ? messages : []).some((m) => messageKey(m) === target);
+    for (let page = 0; !found && page < MAX_JUMP_PAGES; page++) {
+      // Wait for a scroll-triggered page load to finish rather than skipping it
+      while (loadingOlderRef.current) await new Promise((resolve) => setTimeout(resolve, 100));
+      if (!historyRef.current.hasMore) break;
+      const items = await loadOlderMessages();
+      if (!items || String(activeRef.current?.id || activeRef.current?._id) !== chatId) return false;
+      found = items.some((m) => messageKey(m) === target);
     }
+    if (!found) {
+      console.warn("[Frontend] Message not found in history:", target);
+      return false;
+    }
+    atBottomRef.current = false;
+    pendingScrollRef.current = target;
+    setHighlightedId(target);
+    return true;
   }
 
-  // Clear unread and mark seen when switching to an active chat
+  // Bring a jumped-to message into view once its page has rendered
   useEffect(() => {
-    if (!active) return;
-    const cid = String(active.id || active._id);
-    // Clear unread badge for this chat
-    setUnreadCounts((prev) => {
-      if (!prev[cid]) return prev;
-      const next = { ...prev };
-      delete next[cid];
-      return next;
-    });
-    // Mark visible incoming messages as seen
-    const otherMessages = (Array.isArray(messages) ? messages : []).filter(
-      (m) => String(m.sender) !== String(user?.id)
-    );
-    const ids = otherMessages.map((m) => m.id || m._id).filter(Boolean);
-    if (ids.length) {
-      try { socket?.emit("message:seen", { messageIds: ids }); } catch {}
+    const target = pendingScrollRef.current;
+    if (target && listApiRef.current?.scrollToKey(target)) pendingScrollRef.current = null;
+  }, [visibleMessages, highlightedId, unreadMarker]);
+
+  function scrollToLatest() {
+    const el = messagesRef.current;
+    atBottomRef.current = true;
+    setAtBottom(true);
+    setNewBelow(0);
+    if (el) el.scrollTop = el.scrollHeight;
+  }
+
+  // Find the first unread message once the chat's first page is in and open
+  // the chat there, unless a link asked for a specific message
+  useEffect(() => {
+    if (!unreadMarker || unreadMarker.messageId !== undefined || !history.loaded || !active) return;
+    if (String(active.id || active._id) !== unreadMarker.chatId) return;
+    const selfId = String(userRef.current?.id);
+    const list = Array.isArray(messages) ? messages : [];
+    const lastRead = unreadMarker.lastReadId
+      ? list.findIndex((m) => messageKey(m) === String(unreadMarker.lastReadId))
+      : -1;
+    const incoming = list.slice(lastRead + 1).filter((m) => String(m.sender) !== selfId);
+    // Without a known read position, count back from the newest message
+    const first = lastRead !== -1 ? incoming[0] : incoming[Math.max(0, incoming.length - unreadMarker.count)];
+    const messageId = first ? messageKey(first) : null;
+    setUnreadMarker((cur) => cur && { ...cur, messageId });
+    if (messageId && !routeRef.current.messageId) {
+      atBottomRef.current = false;
+      setAtBottom(false);
+      pendingScrollRef.current = messageId;
     }
-  }, [active]);
+  }, [unreadMarker, history.loaded, messages, active]);
 
-  function toggleSelectMember(userId) {
-    setSelectedMembers((prev) =>
-      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
-    );
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timer = setTimeout(() => setHighlightedId(null), HIGHLIGHT_DURATION);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  // The URL effects call the latest render's handlers without re-running on them
+  const routeActionsRef = useRef(null);
+  routeActionsRef.current = { jumpToMessage, selectInitialChat };
+
+  // /chats/:chatId/messages/:messageId — jump once the chat's first page is in
+  useEffect(() => {
+    if (!route.messageId || !history.loaded || !active) return;
+    if (String(active.id || active._id) !== route.chatId) return;
+    routeActionsRef.current.jumpToMessage(route.messageId);
+  }, [route.messageId, route.chatId, history.loaded, active]);
+
+  function handleMessagesScroll(e) {
+    const el = e.currentTarget;
+    atBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < SCROLL_EDGE_THRESHOLD;
+    setAtBottom(atBottomRef.current);
+    if (atBottomRef.current) setNewBelow(0);
+    if (el.scrollTop < SCROLL_EDGE_THRESHOLD) loadOlderMessages();
   }
 
-  async function createOneToOne(userId) {
-    try {
-      const chat = await apiPost(
-        "/api/chats",
-        { memberIds: [userId], isGroup: false },
-        token
+  function updateOutboxEntry(clientId, patch) {
+    outboxRef.current = outboxRef.current.map((e) => (e.clientId === clientId ? { ...e, ...patch } : e));
+    setOutbox(outboxRef.current);
+    const entry = outboxRef.current.find((e) => e.clientId === clientId);
+    persistOutboxEntry(entry);
+  }
+
+  // Entries that couldn't be encrypted have no envelope yet; they stay in
+  // memory only, since the outbox never stores plaintext
+  function persistOutboxEntry(entry) {
+    if (!entry?.content) return;
+    saveOutboxEntry(entry).catch((err) => console.error("[Outbox] Failed to persist entry:", err));
+  }
+
+  function removeOutboxEntry(clientId) {
+    outboxRef.current = outboxRef.current.filter((e) => e.clientId !== clientId);
+    setOutbox(outboxRef.current);
+    deleteOutboxEntry(clientId).catch((err) => console.error("[Outbox] Failed to delete entry:", err));
+  }
+
+  // The server accepted the message: swap the queued copy for the real one
+  function acknowledgeOutboxEntry(clientId, message) {
+    const realId = String(message.id || message._id);
+    const chatId = String(message.chat || message.chatId);
+    removeOutboxEntry(clientId);
+    setPlaintexts((cur) => (cur[clientId] ? { ...cur, [realId]: cur[clientId] } : cur));
+    const sent = plaintextsRef.current[clientId];
+    if (sent && userRef.current?.id) {
+      indexMessages(userRef.current.id, searchDocs(message, sent, chatId)).catch((err) =>
+        console.error("[Search] Failed to index message:", err)
       );
-      setChats((prev) => {
+    }
+    const currentActive = activeRef.current;
+    if (currentActive && String(currentActive.id || currentActive._id) === chatId) {
+      setMessages((prev) => {
         const list = Array.isArray(prev) ? prev : [];
-        const chatIdStr = String(chat.id || chat._id);
-        // Check if chat already exists to prevent duplicates
-        const exists = list.some((c) => {
-          const cId = String(c.id || c._id);
-          return cId === chatIdStr;
-        });
-        if (exists) {
-          return list;
-        }
-        return [chat, ...list];
+        if (list.some((m) => String(m.id || m._id) === realId)) return list;
+        return [...list, { ...message, clientId }];
       });
-      setActive(chat);
-      try { socket?.emit("chat:join", chat.id || chat._id); } catch {}
-      setQuery("");
-      setSearchResults([]);
-    } catch (err) {
-      console.error("Failed to create chat:", err);
     }
   }
 
-  async function createGroup() {
-    if (!groupName.trim() || selectedMembers.length === 0) return;
-    try {
-      const chat = await apiPost(
-        "/api/chats",
-        {
-          memberIds: selectedMembers,
-          isGroup: true,
-          name: groupName.trim(),
-        },
-        token
-      );
-      setChats((prev) => {
-        const list = Array.isArray(prev) ? prev : [];
-        const chatIdStr = String(chat.id || chat._id);
-        // Check if chat already exists to prevent duplicates
-        const exists = list.some((c) => {
-          const cId = String(c.id || c._id);
-          return cId === chatIdStr;
-        });
-        if (exists) {
-          return list;
+  // Update a message wherever we hold a copy of it: the open chat's history,
+  // the lastMessage and pins of its chat in the sidebar, and starred copies.
+  // `patch` is an object or a function of the current message; returning
+  // null removes the message.
+  function applyMessagePatch(messageId, patch) {
+    const id = String(messageId);
+    const apply = (m) => (typeof patch === "function" ? patch(m) : { ...m, ...patch });
+    setMessages((prev) => {
+      const list = Array.isArray(prev) ? prev : [];
+      if (!list.some((m) => messageKey(m) === id)) return list;
+      return list.flatMap((m) => {
+        if (messageKey(m) !== id) return [m];
+        const next = apply(m);
+        return next ? [next] : [];
+      });
+    });
+    setChats((prev) => {
+      const list = Array.isArray(prev) ? prev : [];
+      return list.map((c) => {
+        let next = c;
+        if (c.lastMessage && messageKey(c.lastMessage) === id) next = { ...next, lastMessage: apply(c.lastMessage) };
+        if (c.pinnedMessages?.some((m) => messageKey(m) === id)) {
+          const pinnedMessages = c.pinnedMessages.flatMap((m) => (messageKey(m) === id ? [apply(m)].filter(Boolean) : [m]));
+          next = { ...next, pinnedMessages };
         }
-        return [chat, ...list];
+        return next;
       });
-      setActive(chat);
-      try { socket?.emit("chat:join", chat.id || chat._id); } catch {}
-      setQuery("");
-      setSearchResults([]);
-      setGroupMode(false);
-      setGroupName("");
-      setSelectedMembers([]);
-    } catch (err) {
-      console.error("Failed to create group:", err);
-    }
+    });
+    setStarred((prev) => {
+      if (!prev.some((s) => String(s.messageId) === id && s.message)) return prev;
+      return prev.flatMap((s) => {
+        if (String(s.messageId) !== id || !s.message) return [s];
+        const next = apply(s.message);
+        return next ? [{ ...s, message: next }] : [];
+      });
+    });
   }
 
-  function getChatTitle(chat) {
-    if (chat.isGroup) return chat.name;
-    const other = chat.members?.find((m) => m.id !== user?.id && m._id !== user?.id);
-    return other?.name || other?.username || "Unknown";
+  // Group details or membership changed; merge into the chat list and, for
+  // the open group, into its member info
+  function applyChatUpdate(chat) {
+    if (!chat) return;
+    const chatId = String(chat.id || chat._id);
+    setChats((prev) =>
+      (Array.isArray(prev) ? prev : []).map((c) => (String(c.id || c._id) === chatId ? { ...c, ...chat } : c))
+    );
+    if (Array.isArray(chat.members)) {
+      setGroupMembers((cur) => (cur.chatId === chatId ? { ...normalizeGroupInfo(chat), chatId } : cur));
+    }
   }
 
-  function renderPresence(chat) {
-    if (chat.isGroup) return null;
-    const other = chat.members?.find((m) => m.id !== user?.id && m._id !== user?.id);
-    if (!other) return null;
-    if (other.isOnline) return " 🟢";
-    if (other.lastSeen) {
-      const date = new Date(other.lastSeen);
-      const now = new Date();
-      const diff = now - date;
-      const hours = Math.floor(diff / 3600000);
-      if (hours < 24) return ` 🕐 ${hours}h ago`;
-      return ` 🕐 ${Math.floor(hours / 24)}d ago`;
+  function applyGroupInfo(chatId, info) {
+    const normalized = normalizeGroupInfo(info);
+    setGroupMembers({ ...normalized, chatId });
+    // New members' keys are needed to encrypt for them
+    setChats((prev) =>
+      (Array.isArray(prev) ? prev : []).map((c) =>
+        String(c.id || c._id) === chatId ? { ...c, ...normalized } : c
+      )
+    );
+    if (user?.id) {
+      writeCachedMembers(user.id, chatId, normalized).catch((err) => console.error("Failed to cache members:", err));
     }
-    return "";
   }
 
-  function getOtherMember(chat) {
+  // We left or were removed from a chat
+  function removeChatLocally(chatId) {
+    const id = String(chatId);
+    const remaining = chatsRef.current.filter((c) => String(c.id || c._id) !== id);
+    setChats(remaining);
+    const withoutChat = (prev) => {
+      if (!prev[id]) return prev;
+      const { [id]: _removed, ...rest } = prev;
+      return rest;
+    };
+    setUnreadCounts(withoutChat);
+    setMentionCounts(withoutChat);
+    const current = activeRef.current;
+    if (current && String(current.id || current._id) === id) {
+      setShowGroupInfo(false);
+      if (remaining.length) openChat(remaining[0], { replace: true });
+      else {
+        setActive(null);
+        navigate("/", { replace: true });
+      }
+    }
+  }
+
+  function setChatPins(chatId, pinnedMessages) {
+    setChats((prev) =>
+      (Array.isArray(prev) ? prev : []).map((c) =>
+        String(c.id || c._id) === String(chatId) ? { ...c, pinnedMessages } : c
+      )
+    );
+  }
+
+  // New ciphertext for an existing message; drop the old plaintext so the
+  // decrypt effect picks it up again
+  function applyMessageEdit(messageId, patch) {
+    const id = String(messageId);
+    applyMessagePatch(id, patch);
+    // Re-indexed with the new text once the open chat decrypts it again
+    unindexMessage(id);
+    setPlaintexts((cur) => {
+      if (!cur[id]) return cur;
+      const { [id]: _stale, ...rest } = cur;
+      return rest;
+    });
+  }
+
+  function unindexMessage(messageId) {
+    const userId = userRef.current?.id;
+    if (!userId) return;
+    removeFromIndex(userId, messageId).catch((err) => console.error("[Search] Failed to unindex message:", err));
+  }
+
+  // "everyone" leaves a placeholder for all members; "me" only hides it here
+  function applyMessageDelete(messageId, scope = "everyone") {
+    unindexMessage(messageId);
+    if (scope === "me") {
+      applyMessagePatch(messageId, () => null);
+    } else {
+      applyMessagePatch(messageId, { deleted: true, content: "" });
+      // A deleted message can't stay pinned
+      setChats((prev) =>
+        (Array.isArray(prev) ? prev : []).map((c) =>
+          c.pinnedMessages?.some((m) => messageKey(m) === String(messageId))
+            ? { ...c, pinnedMessages: c.pinnedMessages.filter((m) => messageKey(m) !== String(messageId)) }
+            : c
+        )
+      );
+    }
+    setEditTarget((cur) => (cur && messageKey(cur) === String(messageId) ? null : cur));
+    setReplyTarget((cur) => (cur && messageKey(cur) === String(messageId) ? null : cur));
+  }
+
+  // Messages outside the open chat aren't decrypted for display, but still
+  // belong in the search index
+  async function indexIncomingMessage(message, chatId) {
+    const currentUser = userRef.current;
+    const chat = chatsRef.current.find((c) => String(c.id || c._id) === String(chatId)) || message.chatInfo;
+    if (!currentUser?.id || !chat || isSystemMessage(message)) return;
+    const result = await decryptMessage(message.content, { chat, senderId: message.sender, selfId: currentUser.id });
+    if (!result.ok) return;
+    const docs = searchDocs(message, { ok: true, body: decodeBody(result.text) }, chatId);
+    indexMessages(currentUser.id, docs).catch((err) => console.error("[Search] Failed to index message:", err));
+  }
+
+  // Chime for messages outside the chat being read, plus a desktop
+  // notification while the tab is hidden. Muted chats stay quiet unless the
+  // message mentions us.
+  async function notifyIncoming(message, chatId) {
+    const currentUser = userRef.current;
+    const prefs = notificationPrefsRef.current;
+    if (!currentUser?.id) return;
+    if (isMuted(prefs.mutes, chatId) && !isMentioned(message, currentUser.id)) return;
+    if (prefs.sound) playNotificationSound();
+    if (!document.hidden) return;
+    const chat = chatsRef.current.find((c) => String(c.id || c._id) === String(chatId)) || message.chatInfo;
+    if (!chat) return;
+    const sender = chat.members?.find((m) => String(m.id || m._id) === String(message.sender));
+    const senderName = sender?.name || sender?.username || "Someone";
+    const result = await decryptMessage(message.content, { chat, senderId: message.sender, selfId: currentUser.id });
+    const preview = result.ok ? previewText(decodeBody(result.text)) : "New message";
+    showNotification({
+      title: chat.isGroup ? `${senderName} @ ${getChatTitle(chat)}` : senderName,
+      body: preview,
+      tag: `chat-${chatId}`,
+      icon: chat.isGroup ? chat.avatarUrl : sender?.avatarUrl,
+      onClick: () => navigate(chatPath(chatId)),
+    });
+  }
+
+  function emitWithAck(event, payload) {
+    return new Promise((resolve, reject) => {
+      socket.timeout(SEND_ACK_TIMEOUT).emit(event, payload, (err, ack) => (err ? reject(err) : resolve(ack)));
+    });
+  }
+
+  // Send queued messages one at a time, oldest first. Stops at the first
+  // network problem and picks up again on the next connect, or after a
+  // backoff when the socket stayed up but the server didn't answer.
+  async function flushOutbox() {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    clearTimeout(ackRetryRef.current.timer);
+    try {
+      for (;;) {
+        const entry = outboxRef.current.find((e) => e.state === "pending");
+        if (!entry || !socket?.connected) break;
+        updateOutboxEntry(entry.clientId, { state: "sending" });
+        let ack;
+        try {
+          ack = await emitWithAck("message:send", {
+            chatId: entry.chatId,
+            content: entry.content,
+            clientId: entry.clientId,
+            replyTo: entry.replyTo,
+            type: entry.type,
+            mentions: entry.mentions,
+          });
+        } catch (err) {
+          updateOutboxEntry(entry.clientId, { state: "pending" });
+          if (socket?.connected) {
+            const retry = ackRetryRef.current;
+            const delay = Math.min(ACK_RETRY_MAX_DELAY, ACK_RETRY_BASE_DELAY * 2 ** retry.attempts);
+            retry.attempts += 1;
+            console.warn(`[Outbox] No ack for message, retrying in ${delay} ms:`, err.message || err);
+            retry.timer = setTimeout(flushOutbox, delay);
+          } else {
+            console.warn("[Outbox] No ack for message, will retry on reconnect:", err.message || err);
+          }
+          break;
+        }
+        ackRetryRef.current.attempts = 0;
+        if (ack && ack.ok && ack.message) {
+          acknowledgeOutboxEntry(entry.clientId, ack.message);
+        } else {
+          console.error("[Outbox] Message rejected:", ack);
+          updateOutboxEntry(entry.clientId, { state: "failed", error: ack?.error || "Message was not accepted" });
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }
+
+  async function send(text, { mentions } = {}) {
+    const messageContent = (text || "").trim();
+    if (!active || !messageContent) {
+      console.warn("[Frontend] Cannot send: missing active chat or input");
+      return false;
+    }
+
+    // The quote travels encrypted so the preview renders even when the
+    // original isn't loaded; the server only sees the replyTo id
+    const quote = replyTarget
+      ? makeQuote(replyTarget, previewText(plaintexts[messageKey(replyTarget)]?.body))
+      : undefined;
+    await queueMessage(String(active.id || active._id), {
+      text: messageContent,
+      quote,
+      mentions: mentions?.length ? mentions : undefined,
+    });
+    setReplyTarget(null);
+    return true;
+  }
+
+  // Encrypts a body for a chat, against the freshest member list so new
+  // public keys are picked up
+  function encryptForChat(chatId, body, fallbackChat) {
+    const chat =
+      (Array.isArray(chatsRef.current) ? chatsRef.current : []).find((c) => String(c.id || c._id) === chatId) ||
+      fallbackChat ||
+      active;
+    return encryptMessage(encodeBody(body), chat, user.id);
+  }
+
+  // Encrypts a message body and hands it to the outbox. Resolves to the
+  // entry's clientId. A body that can't be encrypted for the chat becomes a
+  // failed entry, retried like one the server rejected.
+  // `fallbackChat` covers chats that aren't in the list yet.
+  async function queueMessage(chatId, body, fallbackChat) {
+    let envelope = null;
+    let error;
+    try {
+      envelope = await encryptForChat(chatId, body, fallbackChat);
+    } catch (err) {
+      console.error("[Frontend] Failed to encrypt message:", err);
+      error = err.message || "Message could not be encrypted";
+    }
+    if (ownTypingRef.current?.chatId === chatId) stopTyping();
+
+    const entry = {
+      clientId: createClientId(),
+      userId: String(user.id),
+      chatId,
+      content: envelope,
+      createdAt: new Date().toISOString(),
+      state: envelope ? "pending" : "failed",
+      error,
+      replyTo: body.quote?.id,
+      type: body.voice ? "voice" : undefined,
+      mentions: mentionedUserIds(body),
+    };
+    setPlaintexts((prev) => ({ ...prev, [entry.clientId]: { ok: true, text: body.text, body } }));
+    outboxRef.current = [...outboxRef.current, entry];
+    setOutbox(outboxRef.current);
+    const currentActive = activeRef.current;
+    if (currentActive && String(currentActive.id || currentActive._id) === chatId) atBottomRef.current = true;
+    if (envelope) {
+      try {
+        await saveOutboxEntry(entry);
+      } catch (err) {
+        console.error("[Outbox] Failed to persist entry:", err);
+      }
+      flushOutbox();
+    }
+    return entry.clientId;
+  }
+
+  // Edits are re-encrypted for the current members and only go out while
+  // connected; unlike new messages they are not queued in the outbox
+  async function editMessage(message, text, { mentions } = {}) {
+    const messageContent = (text || "").trim();
+    if (!messageContent) return false;
+    const id = messageKey(message);
+    const previous = plaintexts[id];
+    if (previous?.ok && previous.text === messageContent) {
+      setEditTarget(null);
+      return true;
+    }
+    if (!socket?.connected) {
+      setActionError("You're offline. Messages can be edited once the connection is back.");
+      return false;
+    }
+    const chatId = String(message.chat || message.chatId || active.id || active._id);
+    const chat = (Array.isArray(chats) ? chats : []).find((c) => String(c.id || c._id) === chatId) || active;
+    const body = { ...(previous?.body || {}), text: messageContent, mentions: mentions?.length ? mentions : undefined };
+    let envelope;
+    try {
+      envelope = await encryptMessage(encodeBody(body), chat, user.id);
+    } catch (err) {
+      console.error("[Frontend] Failed to encrypt edit:", err);
+      setActionError(`Could not edit the message: ${err.message}`);
+      return false;
+    }
+    const original = { content: message.content, edited: message.edited, editedAt: message.editedAt };
+    const editedAt = new Date().toISOString();
+    applyMessagePatch(id, { content: envelope, edited: true, editedAt });
+    setPlaintexts((cur) => ({ ...cur, [id]: { ok: true, text: messageContent, body } }));
+    try {
+      const ack = await emitWithAck("message:edit", {
+        messageId: id,
+        chatId,
+        content: envelope,
+        mentions: mentionedUserIds(body),
+      });
+      if (!ack?.ok) throw new Error(ack?.error || "Edit was not accepted");
+    } catch (err) {
+      console.error("[Frontend] Failed to edit message:", err);
+      applyMessagePatch(id, original);
+      setPlaintexts((cur) => (previous ? { ...cur, [id]: previous } : cur));
+      setActionError(`Could not edit the message: ${err.message}`);
+      return false;
+    }
+    setEditTarget(null);
+    setActionError(null);
+    indexMessages(user.id, searchDocs(message, { ok: true, body }, chatId)).catch((err) =>
+      console.error("[Search] Failed to index message:", err)
+    );
+    return true;
+  }
+
+  // Reactions are applied right away and rolled back if the server refuses
+  // them. Picking the emoji you already reacted with removes it.
+  async function toggleReaction(message, emoji) {
+    const id = messageKey(message);
+    const selfId = String(user.id);
+    const previous = message.reactions?.[selfId] || null;
+    const next = previous === emoji ? null : emoji;
+    applyMessagePatch(id, (m) => ({ ...m, reactions: withReaction(m.reactions, selfId, next) }));
+    try {
+      if (!socket?.connected) throw new Error("You're offline");
+      const ack = await emitWithAck("message:react", {
+        messageId: id,
+        chatId: String(message.chat || message.chatId || active.id || active._id),
+        emoji: next,
+      });
+      if (!ack?.ok) throw new Error(ack?.error || "Reaction was not accepted");
+    } catch (err) {
+      console.error("[Frontend] Failed to react:", err);
+      applyMessagePatch(id, (m) => ({ ...m, reactions: withReaction(m.reactions, selfId, previous) }));
+    }
+  }
+
+  // Playing someone else's voice note reports it through the seen flow;
+  // the server answers with a "played" message:status for the sender
+  function markVoicePlayed(message) {
+    const id = messageKey(message);
+    const selfId = String(user.id);
+    if (String(message.sender) === selfId || message.status?.[selfId] === "played") return;
+    applyMessagePatch(id, (m) => withStatus(m, selfId, "played"));
+    try {
+      socket?.emit("message:seen", { messageIds: [id], played: true });
+    } catch (err) {
+      console.error("[Frontend] Failed to report voice note as played:", err);
+    }
+  }
+
+  async function deleteMessage(message, scope) {
+    const id = messageKey(message);
+    if (!socket?.connected) {
+      setActionError("You're offline. Messages can be deleted once the connection is back.");
+      return;
+    }
+    try {
+      const ack = await emitWithAck("message:delete", {
+        messageId: id,
+        chatId: String(message.chat || message.chatId || active.id || active._id),
+        scope,
+      });
+      if (!ack?.ok) throw new Error(ack?.error || "Delete was not accepted");
+    } catch (err) {
+      console.error("[Frontend] Failed to delete message:", err);
+      setActionError(`Could not delete the message: ${err.message}`);
+      return;
+    }
+    applyMessageDelete(id, scope);
+  }
+
+  // Pins are shared with the whole chat, so they wait for the server's ack;
+  // the server answers with the chat's new pin list
+  async function togglePin(message) {
+    const id = messageKey(message);
+    const chatId = String(message.chat || message.chatId || active.id || active._id);
+    const pinned = activePins.some((m) => messageKey(m) === id);
+    if (!pinned && activePins.length >= MAX_PINNED_MESSAGES) {
+      setActionError(`Up to ${MAX_PINNED_MESSAGES} messages can be pinned. Unpin one first.`);
+      return;
+    }
+    if (!socket?.connected) {
+      setActionError("You're offline. Messages can be pinned once the connection is back.");
+      return;
+    }
+    try {
+      const ack = await emitWithAck("message:pin", { messageId: id, chatId, pinned: !pinned });
+      if (!ack?.ok) throw new Error(ack?.error || "Pin was not accepted");
+      if (Array.isArray(ack.pinnedMessages)) setChatPins(chatId, ack.pinnedMessages);
+    } catch (err) {
+      console.error("[Frontend] Failed to pin message:", err);
+      setActionError(`Could not ${pinned ? "unpin" : "pin"} the message: ${err.message}`);
+    }
+  }
+
+  // Stars are personal: applied right away and rolled back on failure
+  async function toggleStar(message) {
+    const id = messageKey(message);
+    const chatId = String(message.chat || message.chatId || active?.id || active?._id);
+    const wasStarred = starredIds.has(id);
+    const previous = starred.find((s) => String(s.messageId) === id);
+    const entry = previous || { messageId: id, chatId, starredAt: new Date().toISOString(), message };
+    const without = (list) => list.filter((s) => String(s.messageId) !== id);
+    setStarred((prev) => (wasStarred ? without(prev) : [entry, ...without(prev)]));
+    try {
+      if (wasStarred) await apiDelete(`/api/stars/${encodeURIComponent(id)}`, token);
+      else await apiPut(`/api/stars/${encodeURIComponent(id)}`, { chatId }, token);
+    } catch (err) {
+      console.error("[Frontend] Failed to update star:", err);
+      setStarred((prev) => (wasStarred ? [entry, ...without(prev)] : without(prev)));
+      setActionError(`Could not ${wasStarred ? "unstar" : "star"} the message: ${err.message}`);
+    }
+  }
+
+  function toggleSelected(message) {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      const key = messageKey(message);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  // Sends decrypted copies of `messages` to every target through the outbox,
+  // oldest first. Each target's outcome is tracked for the dialog.
+  async function forwardMessages(messages, targets) {
+    // Messages we can't decrypt can't be re-encrypted; the dialog lists them
+    const bodies = [];
+    const skipped = [];
+    for (const m of [...messages].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))) {
+      const result = plaintexts[messageKey(m)];
+      if (result?.ok) bodies.push(forwardedBody(result.body));
+      else skipped.push(m);
+    }
+    const jobs = [];
+    for (const [key, target] of targets) {
+      const job = {
+        key,
+        title: target.chat ? getChatTitle(target.chat) : target.user.name || target.user.username,
+        clientIds: [],
+        error: bodies.length ? null : "Nothing to forward",
+      };
+      jobs.push(job);
+      if (job.error) continue;
+      try {
+        const chat = target.chat || (await ensureDirectChat(target.user.id || target.user._id));
+        for (const body of bodies) {
+          job.clientIds.push(await queueMessage(String(chat.id || chat._id), body, chat));
+        }
+      } catch (err) {
+        console.error("[Frontend] Failed to forward to", job.title, err);
+        job.error = err.message || "Could not forward";
+      }
+    }
+    setForwarding((cur) => cur && { ...cur, jobs, skipped });
+    setSelectedIds(new Set());
+  }
+
+  const closeForwardDialog = useCallback(() => setForwarding(null), []);
+  const closeMessageInfo = useCallback(() => setInfoMessageId(null), []);
+  const dismissActionError = useCallback(() => setActionError(null), []);
+  const infoMessage = infoMessageId ? visibleMessages.find((m) => messageKey(m) === infoMessageId) : null;
+
+  // Per-target status for the forward dialog, following the outbox entries
+  const forwardResults = useMemo(() => {
+    if (!forwarding?.jobs) return null;
+    return forwarding.jobs.map(({ key, title, clientIds, error }) => {
+      if (error) return { key, title, status: "failed", error };
+      const entries = outbox.filter((e) => clientIds.includes(e.clientId));
+      const failed = entries.find((e) => e.state === "failed");
+      if (failed) return { key, title, status: "failed", error: failed.error };
+      return { key, title, status: entries.length ? "sending" : "sent" };
+    });
+  }, [forwarding, outbox]);
+
+  function updateUpload(id, patch) {
+    setUploads((prev) => prev.map((u) => (u.id === id ? { ...u, ...patch } : u)));
+  }
+
+  function startUploads(added) {
+    setUploads((prev) => [...prev, ...added]);
+    added.forEach(runUpload);
+  }
+
+  function attachFiles(files) {
+    if (!active || !files?.length) return;
+    const chatId = String(active.id || active._id);
+    startUploads(
+      Array.from(files).map((file) => ({ id: createClientId(), chatId, file, progress: 0, state: "uploading" }))
+    );
+  }
+
+  // Voice notes upload like attachments and then go out as a "voice" message
+  function sendVoiceNote({ blob, duration, waveform }) {
+    if (!active) return;
+    const extension = blob.type.includes("ogg") ? "ogg" : blob.type.includes("mp4") ? "m4a" : "webm";
+    const file = new File([blob], `Voice note.${extension}`, { type: blob.type.split(";")[0] });
+    startUploads([
+      {
+        id: createClientId(),
+        chatId: String(active.id || active._id),
+        file,
+        voice: { duration, waveform },
+        progress: 0,
+        state: "uploading",
+      },
+    ]);
+  }
+
+  // Each file is encrypted, uploaded, then sent as its own message
+  async function runUpload(upload) {
+    const controller = new AbortController();
+    uploadControllersRef.current.set(upload.id, controller);
+    try {
+      const attachment = await uploadAttachment(upload.file, token, {
+        signal: controller.signal,
+        onProgress: (progress) => updateUpload(upload.id, { progress }),
+      });
+      const body = upload.voice ? { text: "", voice: { ...attachment, ...upload.voice } } : { text: "", attachment };
+      await queueMessage(upload.chatId, body);
+      setUploads((prev) => prev.filter((u) => u.id !== upload.id));
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error("[Frontend] Upload failed:", err);
+      updateUpload(upload.id, { state: "failed", error: err.message || "Upload failed" });
+    } finally {
+      uploadControllersRef.current.delete(upload.id);
+    }
+  }
+
+  function cancelUpload(id) {
+    uploadControllersRef.current.get(id)?.abort();
+    setUploads((prev) => prev.filter((u) => u.id !== id));
+  }
+
+  function retryUpload(id) {
+    const upload = uploads.find((u) => u.id === id);
+    if (!upload) return;
+    const restarted = { ...upload, progress: 0, state: "uploading", error: undefined };
+    setUploads((prev) => prev.map((u) => (u.id === id ? restarted : u)));
+    runUpload(restarted);
+  }
+
+  function hasDraggedFiles(e) {
+    return Array.from(e.dataTransfer?.types || []).includes("Files");
+  }
+
+  // Shows or hides a member's typing indicator. Indicators expire on their
+  // own in case the stop never arrives (closed tab, lost connection).
+  function setTyping(chatId, userId, typing) {
+    const key = `${chatId}:${userId}`;
+    clearTimeout(typingTimersRef.current.get(key));
+    typingTimersRef.current.delete(key);
+    if (typing) {
+      typingTimersRef.current.set(
+        key,
+        setTimeout(() => setTyping(chatId, userId, false), TYPING_TIMEOUT)
+      );
+    }
+    setTypingUsers((prev) => {
+      const current = prev[chatId] || [];
+      if (current.includes(userId) === typing) return prev;
+      const next = typing ? [...current, userId] : current.filter((id) => id !== userId);
+      if (next.length) return { ...prev, [chatId]: next };
+      const { [chatId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }
+
+  useEffect(() => {
+    const timers = typingTimersRef.current;
+    return () => {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      clearTimeout(ownTypingRef.current?.idleTimer);
+    };
+  }, []);
+
+  function handleComposerTyping(text) {
+    if (!socket?.connected || !active || editTarget) return;
+    if (!text?.trim()) {
+      stopTyping();
+      return;
+    }
+    const chatId = String(active.id || active._id);
+    if (ownTypingRef.current?.chatId !== chatId) stopTyping();
+    const now = Date.now();
+    if (!ownTypingRef.current) {
+      ownTypingRef.current = { chatId, sentAt: 0, idleTimer: null };
+    }
+    const own = ownTypingRef.current;
+    if (now - own.sentAt >= TYPING_THROTTLE) {
+      socket.emit("typing", { chatId, typing: true });
+      own.sentAt = now;
+    }
+    clearTimeout(own.idleTimer);
+    own.idleTimer = setTimeout(stopTyping, TYPING_IDLE);
+  }
+
+  // Tells the chat we last typed in that we stopped, if we were typing
+  function stopTyping() {
+    const own = ownTypingRef.current;
+    if (!own) return;
+    clearTimeout(own.idleTimer);
+    ownTypingRef.current = null;
+    try {
+      if (socket?.connected) socket.emit("typing", { chatId: own.chatId, typing: false });
+    } catch (err) {
+      console.warn("[Frontend] Failed to send typing stop:", err);
+    }
+  }
+
+  async function retryOutboxEntry(clientId) {
+    const entry = outboxRef.current.find((e) => e.clientId === clientId);
+    if (!entry) return;
+    if (!entry.content) {
+      const sent = plaintextsRef.current[clientId];
+      try {
+        if (!sent?.body) throw new Error("Message text is no longer available");
+        const content = await encryptForChat(entry.chatId, sent.body);
+        updateOutboxEntry(clientId, { content, state: "pending", error: undefined });
+      } catch (err) {
+        console.error("[Frontend] Failed to encrypt message:", err);
+        updateOutboxEntry(clientId, { error: err.message || "Message could not be encrypted" });
+        return;
+      }
+    } else {
+      updateOutboxEntry(clientId, { state: "pending", error: undefined });
+    }
+    flushOutbox();
+  }
+
+  // Bubbles are memoized, so they get one stable callback that always
+  // dispatches to the latest render's handlers
+  const messageActionsRef = useRef(null);
+  messageActionsRef.current = {
+    retry: (m) => retryOutboxEntry(m.clientId),
+    discard: (m) => removeOutboxEntry(m.clientId),
+    reply: (m) => {
+      setEditTarget(null);
+      setReplyTarget(m);
+    },
+    edit: (m) => {
+      setReplyTarget(null);
+      setEditTarget(m);
+    },
+    react: (m, emoji) => toggleReaction(m, emoji),
+    played: (m) => markVoicePlayed(m),
+    select: (m) => toggleSelected(m),
+    pin: (m) => togglePin(m),
+    info: (m) => setInfoMessageId(messageKey(m)),
+    star: (m) => toggleStar(m),
+    forward: (m) => setForwarding({ messages: [m] }),
+    deleteForMe: (m) => deleteMessage(m, "me"),
+    deleteForEveryone: (m) => deleteMessage(m, "everyone"),
+    jumpToReply: (m) => {
+      const target = m.replyTo || plaintexts[messageKey(m)]?.body?.quote?.id;
+      if (target) jumpToMessage(target);
+    },
+  };
+  const handleMessageAction = useCallback((action, message, ...args) => {
+    messageActionsRef.current[action]?.(message, ...args);
+  }, []);
+
+  // Remember where reading left off, then clear the unread badge, when
+  // switching to a chat. Messages are reported as seen by the effect below.
+  useEffect(() => {
+    if (!active) {
+      setUnreadMarker(null);
+      return;
+    }
+    const cid = String(active.id || active._id);
+    const chat = chatsRef.current.find((c) => String(c.id || c._id) === cid) || active;
+    const count = Math.max(unreadCountsRef.current[cid] || 0, chat.unreadCount || 0);
+    setUnreadMarker(count ? { chatId: cid, count, lastReadId: chat.lastReadMessageId || null } : null);
+    if (chat.unreadCount) {
+      setChats((prev) =>
+        (Array.isArray(prev) ? prev : []).map((c) => (String(c.id || c._id) === cid ? { ...c, unreadCount: 0 } : c))
+      );
+    }
+    // Clear unread badge for this chat
+    setUnreadCounts((prev) => {
+      if (!prev[cid]) return prev;
+      const next = { ...prev };
+      delete next[cid];
+      return next;
+    });
+    setMentionCounts((prev) => {
+      if (!prev[cid]) return prev;
+      const { [cid]: _cleared, ...rest } = prev;
+      return rest;
+    });
+  }, [active, setUnreadCounts, setMentionCounts]);
+
+  // Report incoming messages of the open chat as seen while the page is
+  // visible; the server moves the chat's read position and unread count
+  useEffect(() => {
+    const current = activeRef.current;
+    if (!current || !pageVisible || !socketConnected || !socket) return;
+    const selfId = String(userRef.current?.id);
+    const reported = reportedSeenRef.current;
+    const ids = (Array.isArray(messages) ? messages : [])
+      .filter((m) => String(m.sender) !== selfId && !isSystemMessage(m))
+      .filter((m) => !["seen", "played"].includes(m.status?.[selfId]))
+      .map(messageKey)
+      .filter((id) => !reported.has(id));
+    if (!ids.length) return;
+    ids.forEach((id) => reported.add(id));
+    try {
+      socket.emit("message:seen", { messageIds: ids, chatId: String(current.id || current._id) });
+    } catch (err) {
+      console.error("[Frontend] Failed to mark messages as seen:", err);
+    }
+  }, [messages, pageVisible, socketConnected, socket]);
+
+  // Messages that arrived in the open chat while the tab was hidden were
+  // counted as unread; coming back reads them
+  useEffect(() => {
+    const current = activeRef.current;
+    if (!pageVisible || !current) return;
+    const cid = String(current.id || current._id);
+    setUnreadCounts((prev) => {
+      if (!prev[cid]) return prev;
+      const { [cid]: _read, ...rest } = prev;
+      return rest;
+    });
+    setMentionCounts((prev) => {
+      if (!prev[cid]) return prev;
+      const { [cid]: _read, ...rest } = prev;
+      return rest;
+    });
+  }, [pageVisible, setUnreadCounts, setMentionCounts]);
+
+  // User-initiated chat switches go through the URL so back/forward works
+  function openChat(chat, { replace = false } = {}) {
+    setActive(chat);
+    navigate(chatPath(chat.id || chat._id), { replace });
+  }
+
+  // Default selection when the URL doesn't name a chat
+  function selectInitialChat(list) {
+    if (routeRef.current.chatId || activeRef.current || !list.length) return;
+    openChat(list[0], { replace: true });
+  }
+
+  // Follow the URL: deep links and browser back/forward
+  useEffect(() => {
+    const chatId = route.chatId;
+    if (!chatId) {
+      // e.g. a link to a chat this account can't open
+      if (!loading) routeActionsRef.current.selectInitialChat(Array.isArray(chats) ? chats : []);
+      return;
+    }
+    if (String(activeRef.current?.id || activeRef.current?._id) === chatId) return;
+    const known = (Array.isArray(chats) ? chats : []).find((c) => String(c.id || c._id) === chatId);
+    if (known) {
+      setActive(known);
+      return;
+    }
+    // Not in the list yet: wait for the chat list, then ask for the chat directly
+    if (loading) return;
+    const controller = new AbortController();
+    apiGet(`/api/chats/${encodeURIComponent(chatId)}`, tokenRef.current, { signal: controller.signal })
+      .then((chat) => {
+        setChats((prev) => {
+          const list = Array.isArray(prev) ? prev : [];
+          return list.some((c) => String(c.id || c._id) === chatId) ? list : [chat, ...list];
+        });
+        setActive(chat);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error("Failed to open linked chat:", err);
+        navigate("/", { replace: true });
+      });
+    return () => controller.abort();
+  }, [route.chatId, chats, loading]);
+
+  function toggleSelectMember(userId) {
+    setSelectedMembers((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+  }
+
+  // Finds or creates the 1:1 chat with a user and adds it to the list
+  async function ensureDirectChat(userId) {
+    const chat = await apiPost(
+      "/api/chats",
+      { memberIds: [userId], isGroup: false },
+      token
+    );
+    setChats((prev) => {
+      const list = Array.isArray(prev) ? prev : [];
+      const chatIdStr = String(chat.id || chat._id);
+      // Check if chat already exists to prevent duplicates
+      const exists = list.some((c) => {
+        const cId = String(c.id || c._id);
+        return cId === chatIdStr;
+      });
+      if (exists) {
+        return list;
+      }
+      return [chat, ...list];
+    });
+    try { socket?.emit("chat:join", chat.id || chat._id); } catch {}
+    return chat;
+  }
+
+  async function createOneToOne(userId) {
+    try {
+      const chat = await ensureDirectChat(userId);
+      openChat(chat);
+      setQuery("");
+      setSearchResults([]);
+    } catch (err) {
+      console.error("Failed to create chat:", err);
+    }
+  }
+
+  async function createGroup() {
+    if (!groupName.trim() || selectedMembers.length === 0) return;
+    try {
+      const chat = await apiPost(
+        "/api/chats",
+        {
+          memberIds: selectedMembers,
+          isGroup: true,
+          name: groupName.trim(),
+        },
+        token
+      );
+      setChats((prev) => {
+        const list = Array.isArray(prev) ? prev : [];
+        const chatIdStr = String(chat.id || chat._id);
+        // Check if chat already exists to prevent duplicates
+        const exists = list.some((c) => {
+          const cId = String(c.id || c._id);
+          return cId === chatIdStr;
+        });
+        if (exists) {
+          return list;
+        }
+        return [chat, ...list];
+      });
+      openChat(chat);
+      try { socket?.emit("chat:join", chat.id || chat._id); } catch {}
+      setQuery("");
+      setSearchResults([]);
+      setGroupMode(false);
+      setGroupName("");
+      setSelectedMembers([]);
+    } catch (err) {
+      console.error("Failed to create group:", err);
+    }
+  }
+
+  function getChatTitle(chat) {
+    if (chat.isGroup) return chat.name;
+    const other = chat.members?.find((m) => m.id !== user?.id && m._id !== user?.id);
+    return other?.name || other?.username || "Unknown";
+  }
+
+  function renderPresence(chat) {
+    if (chat.isGroup) return null;
+    const other = chat.members?.find((m) => m.id !== user?.id && m._id !== user?.id);
+    if (!other) return null;
+    if (other.isOnline) return " 🟢";
+    if (other.lastSeen) {
+      const date = new Date(other.lastSeen);
+      const now = new Date();
+      const diff = now - date;
+      const hours = Math.floor(diff / 3600000);
+      if (hours < 24) return ` 🕐 ${hours}h ago`;
+      return ` 🕐 ${Math.floor(hours / 24)}d ago`;
+    }
+    return "";
+  }
+
+  function getOtherMember(chat) {
     if (!chat || chat.isGroup) return null;
     return chat.members?.find((m) => m.id !== user?.id && m._id !== user?.id) || null;
   }
@@ -671,42 +2053,177 @@ export default function ChatApp({ socket }) {
   }
 
   function renderAvatar(name, avatarUrl) {
-    const size = 32;
-    if (avatarUrl) {
+    return <Avatar name={name} url={avatarUrl} />;
+  }
+
+  // Name and avatar of everyone in the active chat, by user id. Objects stay
+  // the same between renders so memoized bubbles don't re-render.
+  const memberProfiles = useMemo(() => {
+    const activeId = active ? String(active.id || active._id) : null;
+    const fromGroup = groupMembers.chatId === activeId ? groupMembers.members : [];
+    const profiles = {};
+    for (const m of [...(active?.members || []), ...fromGroup]) {
+      profiles[String(m.id || m._id)] = { name: m.name || m.username || "Unknown", avatarUrl: m.avatarUrl };
+    }
+    return profiles;
+  }, [active, groupMembers]);
+
+  // Display names of the active chat's members, for reaction tooltips
+  const memberNames = useMemo(() => {
+    const names = {};
+    for (const [id, profile] of Object.entries(memberProfiles)) names[id] = profile.name;
+    if (user?.id) names[String(user.id)] = "You";
+    return names;
+  }, [memberProfiles, user?.id]);
+
+  // Day separators and sender runs: message key -> { day, groupStart }, where
+  // `day` is the label of a separator shown above the message
+  const messageLayout = useMemo(() => {
+    const layout = new Map();
+    let prev = null;
+    for (const m of visibleMessages) {
+      const time = new Date(m.createdAt || m.time);
+      const prevTime = prev && new Date(prev.createdAt || prev.time);
+      const newDay = !prev || !isSameDay(prevTime, time);
+      layout.set(messageKey(m), {
+        day: newDay ? formatDayLabel(time) : null,
+        groupStart:
+          newDay ||
+          isSystemMessage(prev) ||
+          String(prev.sender) !== String(m.sender) ||
+          time - prevTime > GROUP_GAP,
+      });
+      prev = m;
+    }
+    return layout;
+  }, [visibleMessages]);
+
+  // People that can be @mentioned in the active chat
+  const mentionCandidates = useMemo(() => {
+    const activeId = active ? String(active.id || active._id) : null;
+    const fromGroup = groupMembers.chatId === activeId ? groupMembers.members : [];
+    const byId = new Map();
+    for (const m of [...(active?.members || []), ...fromGroup]) {
+      const id = String(m.id || m._id);
+      if (id === String(user?.id) || byId.has(id)) continue;
+      byId.set(id, { id, name: m.name || m.username || "Unknown" });
+    }
+    return [...byId.values()];
+  }, [active, groupMembers, user?.id]);
+
+  function describeSearchResult(result) {
+    const chat = (Array.isArray(chats) ? chats : []).find((c) => String(c.id || c._id) === result.chatId);
+    const member = chat?.members?.find((m) => String(m.id || m._id) === String(result.sender));
+    return {
+      chatTitle: chat ? getChatTitle(chat) : "Unknown chat",
+      senderName:
+        String(result.sender) === String(user?.id) ? "You" : member?.name || member?.username || "Unknown",
+    };
+  }
+
+  function describeStarred(entry) {
+    const chat = (Array.isArray(chats) ? chats : []).find((c) => String(c.id || c._id) === String(entry.chatId));
+    const sender = entry.message?.sender;
+    const member = chat?.members?.find((m) => String(m.id || m._id) === String(sender));
+    return {
+      chat,
+      chatTitle: chat ? getChatTitle(chat) : "Unknown chat",
+      senderName: String(sender) === String(user?.id) ? "You" : member?.name || member?.username || "Unknown",
+    };
+  }
+
+  // "typing…" in 1:1 chats; in groups, who is typing
+  function describeTyping(chat) {
+    const ids = chat ? typingUsers[String(chat.id || chat._id)] : null;
+    if (!ids?.length) return "";
+    if (!chat.isGroup) return "typing…";
+    const names = ids.map((id) => {
+      const member = chat.members?.find((m) => String(m.id || m._id) === id);
+      return member?.name || member?.username || memberProfiles[id]?.name || "Someone";
+    });
+    if (names.length === 1) return `${names[0]} is typing…`;
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+    return `${names[0]}, ${names[1]} and ${names.length - 2} more are typing…`;
+  }
+
+  function getSenderName(senderId) {
+    if (String(senderId) === String(user?.id)) return "You";
+    return memberProfiles[String(senderId)]?.name || "Unknown";
+  }
+
+  // Left members aren't in the profiles; describeSystemMessage falls back
+  // to the names stored with the message
+  function getSystemMessageName(userId) {
+    if (String(userId) === String(user?.id)) return "You";
+    return memberProfiles[String(userId)]?.name;
+  }
+
+  function renderMessage(m) {
+    if (isSystemMessage(m)) {
+      const day = messageLayout.get(messageKey(m))?.day;
       return (
-        <img
-          src={avatarUrl}
-          alt={name || "avatar"}
-          style={{ width: size, height: size, borderRadius: "50%", objectFit: "cover" }}
-        />
+        <>
+          {day && <div className="day-separator">{day}</div>}
+          <div className="system-message">{describeSystemMessage(m, getSystemMessageName)}</div>
+        </>
       );
     }
-    const initial = (name || "?").trim().charAt(0).toUpperCase();
+    const isMine = String(m.sender) === String(user?.id);
+    const decrypted = plaintexts[messageKey(m)];
+    const quote = decrypted?.body?.quote;
+    const { day, groupStart } = messageLayout.get(messageKey(m)) || {};
+    const bubble = (
+      <MessageBubble
+        message={m}
+        decrypted={decrypted}
+        quoteAuthor={quote ? getSenderName(quote.sender) : null}
+        isMine={isMine}
+        // Names and avatars only tell people apart in groups
+        author={active?.isGroup && !isMine ? memberProfiles[String(m.sender)] || UNKNOWN_AUTHOR : null}
+        groupStart={groupStart}
+        highlighted={highlightedId === messageKey(m)}
+        selected={selectedIds.has(messageKey(m))}
+        pinned={activePins.some((p) => messageKey(p) === messageKey(m))}
+        starred={starredIds.has(messageKey(m))}
+        selecting={selectedIds.size > 0}
+        ticks={isMine ? tickState(m, activeChat, user?.id) : null}
+        selfId={user?.id}
+        memberNames={memberNames}
+        onAction={handleMessageAction}
+      />
+    );
+    const unread = unreadMarker?.messageId === messageKey(m);
+    if (!day && !unread) return bubble;
     return (
-      <div
-        style={{
-          width: size,
-          height: size,
-          borderRadius: "50%",
-          background: "#26323a",
-          display: "grid",
-          placeItems: "center",
-          fontWeight: 700,
-          color: "#cfd9df",
-        }}
-      >
-        {initial}
-      </div>
+      <>
+        {day && <div className="day-separator">{day}</div>}
+        {unread && (
+          <div className="unread-divider">
+            {unreadMarker.count} unread message{unreadMarker.count === 1 ? "" : "s"}
+          </div>
+        )}
+        {bubble}
+      </>
     );
   }
 
   function renderUnread(chat) {
     const id = String(chat.id || chat._id);
     const n = unreadCounts[id] || 0;
-    if (!n) return null;
+    const mentioned = (mentionCounts[id] || 0) > 0;
+    const muted = isMuted(notificationPrefs.mutes, id);
+    if (!n && !mentioned && !muted) return null;
     return (
-      <span style={{ float: "right", background: "#1f2c34", borderRadius: 12, padding: "0 6px", fontSize: 12 }}>
-        {n}
+      <span style={{ float: "right", display: "flex", gap: 4 }}>
+        {muted && <span title="Muted">🔕</span>}
+        {mentioned && (
+          <span className="mention-badge" title="You were mentioned">
+            @
+          </span>
+        )}
+        {n > 0 && (
+          <span className={`unread-badge ${muted ? "muted" : ""}`}>{n}</span>
+        )}
       </span>
     );
   }
@@ -725,7 +2242,7 @@ export default function ChatApp({ socket }) {
             }}
           >
             <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-              <span>{user?.name || user?.username || "User"}</span>
+              <AccountSwitcher unreadTotals={unreadTotals} />
               <span
                 style={{
                   width: 8,
@@ -738,6 +2255,18 @@ export default function ChatApp({ socket }) {
               />
             </div>
             <div>
+              <button
+                onClick={() => setShowNotificationSettings((v) => !v)}
+                title="Notifications"
+                style={{
+                  background: "transparent",
+                  color: "var(--subtext)",
+                  marginRight: 8,
+                  padding: "4px 8px",
+                }}
+              >
+                🔔
+              </button>
               <button
                 onClick={() => {
                   setEditingProfile((v) => !v);
@@ -804,126 +2333,254 @@ export default function ChatApp({ socket }) {
             </div>
           </div>
         )}
-        <div className="users-header">Chats</div>
-        {/* Scroll container that holds search inputs/results and the chat list together */}
-        <div style={{ display: "flex", flexDirection: "column", minHeight: 0, overflow: "auto" }}>
-          <div style={{ padding: "8px 12px", borderBottom: "1px solid #1f2c34" }}>
-            <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
-              <button
-                type="button"
-                onClick={() => {
-                  setGroupMode((v) => !v);
-                  setSelectedMembers([]);
-                  setGroupName("");
-                }}
-                style={{ background: groupMode ? "var(--accent)" : "#26323a" }}
-              >
-                {groupMode ? "Cancel Group" : "New Group"}
-              </button>
+        {showNotificationSettings && (
+          <div className="notification-settings">
+            <div>
+              Desktop notifications:{" "}
+              {notificationPermission === "granted" && "On"}
+              {notificationPermission === "denied" && "Blocked in the browser's site settings"}
+              {notificationPermission === "unsupported" && "Not supported by this browser"}
+              {notificationPermission === "default" && (
+                <button
+                  type="button"
+                  onClick={async () => setNotificationPermission(await requestNotificationPermission())}
+                >
+                  Enable
+                </button>
+              )}
             </div>
-            <input
-              placeholder={
-                groupMode ? "Search users to add to group" : "Search users to start a chat"
-              }
-              value={query}
-              onChange={(e) => setQuery(e.target.value)}
-              style={{ width: "100%" }}
+            <label>
+              <input
+                type="checkbox"
+                checked={notificationPrefs.sound}
+                onChange={(e) => updateNotificationPrefs(() => ({ sound: e.target.checked }))}
+              />{" "}
+              Play a sound for new messages
+            </label>
+          </div>
+        )}
+        <div className="users-header" style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          {showStarred ? "Starred messages" : "Chats"}
+          <button
+            type="button"
+            title={showStarred ? "Back to chats" : "Starred messages"}
+            onClick={() => setShowStarred((v) => !v)}
+            style={{ background: showStarred ? "var(--accent)" : "#26323a", padding: "2px 10px" }}
+          >
+            ★
+          </button>
+        </div>
+        {showStarred ? (
+          <div style={{ minHeight: 0, overflow: "auto" }}>
+            <StarredMessages
+              items={starred}
+              selfId={user?.id}
+              describe={describeStarred}
+              onOpen={(entry) => navigate(chatPath(entry.chatId, entry.messageId))}
+              onUnstar={(entry) => toggleStar({ ...entry.message, id: entry.messageId, chat: entry.chatId })}
             />
           </div>
-          {query && (
-            <div style={{ padding: "0 12px", marginTop: 8 }}>
-              {searching && <div className="typing">Searching…</div>}
-              {!searching && searchResults.length === 0 && (
-                <div className="typing">No users found</div>
-              )}
-              {!searching && searchResults.length > 0 && (
-                <ul className="users">
-                  {searchResults.map((u, i) => (
-                    <li
-                      key={u.id || u._id || u.username || i}
-                      onClick={() =>
-                        groupMode ? toggleSelectMember(u.id || u._id) : createOneToOne(u.id || u._id)
-                      }
-                      className={
-                        groupMode && selectedMembers.includes(u.id || u._id) ? "self" : ""
-                      }
-                      style={{ cursor: "pointer" }}
-                    >
-                      {u.name || u.username} {" "}
-                      <span style={{ color: "var(--subtext)" }}>@{u.username}</span>
-                    </li>
-                  ))}
-                </ul>
-              )}
-              {groupMode && (
-                <div style={{ padding: "8px 0" }}>
-                  <input
-                    placeholder="Group name"
-                    value={groupName}
-                    onChange={(e) => setGroupName(e.target.value)}
-                    style={{ width: "100%", margin: "8px 0" }}
-                  />
-                  <button type="button" onClick={createGroup}>
-                    Create Group
-                  </button>
-                </div>
-              )}
+        ) : (
+          // Scroll container that holds search inputs/results and the chat list together
+          <div style={{ display: "flex", flexDirection: "column", minHeight: 0, overflow: "auto" }}>
+            <div style={{ padding: "8px 12px", borderBottom: "1px solid #1f2c34" }}>
+              <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setGroupMode((v) => !v);
+                    setSelectedMembers([]);
+                    setGroupName("");
+                  }}
+                  style={{ background: groupMode ? "var(--accent)" : "#26323a" }}
+                >
+                  {groupMode ? "Cancel Group" : "New Group"}
+                </button>
+              </div>
+              <input
+                placeholder={
+                  groupMode ? "Search users to add to group" : "Search users to start a chat"
+                }
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                style={{ width: "100%" }}
+              />
             </div>
-          )}
-          <ul className="users">
-            {safeChats.length === 0 ? (
-              <li style={{ padding: "16px", textAlign: "center", color: "var(--subtext)" }}>
-                No chats yet. Search for users to start a conversation.
-              </li>
-            ) : (
-              safeChats
-                .filter((c, index, self) => {
-                  // Remove duplicates by ID
-                  const chatId = String(c.id || c._id);
-                  return index === self.findIndex((chat) => String(chat.id || chat._id) === chatId);
-                })
-                .map((c) => {
-                  const chatId = String(c.id || c._id);
-                  return (
-                    <li
-                      key={chatId}
-                      onClick={() => setActive(c)}
-                      className={active?.id === (c.id || c._id) ? "self" : ""}
-                      style={{ cursor: "pointer" }}
-                    >
-                      {getChatTitle(c)} {c.typing ? "…typing" : ""}
-                      {renderUnread(c)}
-                    </li>
-                  );
-                })
+            {query && (
+              <div style={{ padding: "0 12px", marginTop: 8 }}>
+                {searching && <div className="typing">Searching…</div>}
+                {!searching && searchResults.length === 0 && (
+                  <div className="typing">No users found</div>
+                )}
+                {!searching && searchResults.length > 0 && (
+                  <ul className="users">
+                    {searchResults.map((u, i) => (
+                      <li
+                        key={u.id || u._id || u.username || i}
+                        onClick={() =>
+                          groupMode ? toggleSelectMember(u.id || u._id) : createOneToOne(u.id || u._id)
+                        }
+                        className={
+                          groupMode && selectedMembers.includes(u.id || u._id) ? "self" : ""
+                        }
+                        style={{ cursor: "pointer" }}
+                      >
+                        {u.name || u.username} {" "}
+                        <span style={{ color: "var(--subtext)" }}>@{u.username}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {groupMode && (
+                  <div style={{ padding: "8px 0" }}>
+                    <input
+                      placeholder="Group name"
+                      value={groupName}
+                      onChange={(e) => setGroupName(e.target.value)}
+                      style={{ width: "100%", margin: "8px 0" }}
+                    />
+                    <button type="button" onClick={createGroup}>
+                      Create Group
+                    </button>
+                  </div>
+                )}
+              </div>
             )}
-          </ul>
-        </div>
+            <MessageSearch
+              userId={user?.id}
+              activeChatId={active ? String(active.id || active._id) : null}
+              describe={describeSearchResult}
+              onOpen={(result) => navigate(chatPath(result.chatId, result.id))}
+            />
+            <ul className="users">
+              {safeChats.length === 0 ? (
+                <li style={{ padding: "16px", textAlign: "center", color: "var(--subtext)" }}>
+                  No chats yet. Search for users to start a conversation.
+                </li>
+              ) : (
+                safeChats
+                  .filter((c, index, self) => {
+                    // Remove duplicates by ID
+                    const chatId = String(c.id || c._id);
+                    return index === self.findIndex((chat) => String(chat.id || chat._id) === chatId);
+                  })
+                  .map((c) => {
+                    const chatId = String(c.id || c._id);
+                    return (
+                      <li
+                        key={chatId}
+                        onClick={() => openChat(c)}
+                        className={active?.id === (c.id || c._id) ? "self" : ""}
+                        style={{ cursor: "pointer" }}
+                      >
+                        {getChatTitle(c)}
+                        {renderUnread(c)}
+                        {typingUsers[chatId] && <div className="chat-typing">{describeTyping(c)}</div>}
+                      </li>
+                    );
+                  })
+              )}
+            </ul>
+          </div>
+        )}
       </aside>
-      <main className="chat">
+      <main
+        className={`chat ${draggingFiles ? "dragging-files" : ""}`}
+        onDragOver={(e) => {
+          if (!active || !hasDraggedFiles(e)) return;
+          e.preventDefault();
+          setDraggingFiles(true);
+        }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDraggingFiles(false);
+        }}
+        onDrop={(e) => {
+          if (!hasDraggedFiles(e)) return;
+          e.preventDefault();
+          setDraggingFiles(false);
+          attachFiles(e.dataTransfer.files);
+        }}
+      >
         <header className="chat-header" style={{ display: "flex", alignItems: "center", gap: 10 }}>
-          {active ? (
+          {active && selectedIds.size > 0 ? (
+            <>
+              <span>{selectedIds.size} selected</span>
+              <button
+                type="button"
+                style={{ marginLeft: "auto" }}
+                onClick={() =>
+                  setForwarding({ messages: visibleMessages.filter((m) => selectedIds.has(messageKey(m))) })
+                }
+              >
+                Forward
+              </button>
+              <button type="button" style={{ background: "#26323a" }} onClick={() => setSelectedIds(new Set())}>
+                Cancel
+              </button>
+            </>
+          ) : active ? (
             <>
               {(() => {
                 if (active.isGroup) {
-                  return renderAvatar(active.name, active.avatarUrl);
+                  return renderAvatar(activeChat.name, activeChat.avatarUrl);
                 }
-                const other = getOtherMember(active) || {};
+                const other = getOtherMember(activeChat) || {};
                 return renderAvatar(other.name || other.username, other.avatarUrl);
               })()}
               <div style={{ display: "grid", lineHeight: 1.25 }}>
-                <div style={{ fontWeight: 600 }}>{getChatTitle(active)}</div>
-                {!active.isGroup && (
-                  <div style={{ color: "var(--subtext)", fontSize: 12 }}>
-                    {formatPresenceLine(active)}
+                <div style={{ fontWeight: 600 }}>{getChatTitle(activeChat)}</div>
+                {/* Typing replaces the presence line while it lasts */}
+                {typingUsers[String(active.id || active._id)] ? (
+                  <div className="chat-typing" style={{ fontSize: 12 }}>
+                    {describeTyping(activeChat)}
                   </div>
+                ) : (
+                  !active.isGroup && (
+                    <div style={{ color: "var(--subtext)", fontSize: 12 }}>
+                      {formatPresenceLine(activeChat)}
+                    </div>
+                  )
                 )}
               </div>
+              <select
+                className="mute-select"
+                title={
+                  isMuted(notificationPrefs.mutes, active.id || active._id) ? "Notifications muted" : "Notifications on"
+                }
+                value=""
+                onChange={(e) =>
+                  setChatMute(String(active.id || active._id), e.target.value === "unmute" ? null : e.target.value)
+                }
+                style={{ marginLeft: "auto" }}
+              >
+                {(() => {
+                  const until = notificationPrefs.mutes[String(active.id || active._id)];
+                  if (!isMuted(notificationPrefs.mutes, active.id || active._id)) {
+                    return (
+                      <>
+                        <option value="" disabled>🔔</option>
+                        {MUTE_OPTIONS.map((o) => (
+                          <option key={o.value} value={o.value}>
+                            {o.label}
+                          </option>
+                        ))}
+                      </>
+                    );
+                  }
+                  return (
+                    <>
+                      <option value="" disabled>
+                        🔕 {until === "always" ? "Muted" : `Muted until ${new Date(until).toLocaleString()}`}
+                      </option>
+                      <option value="unmute">Unmute</option>
+                    </>
+                  );
+                })()}
+              </select>
               {active?.isGroup && (
                 <button
                   onClick={() => setShowGroupInfo((v) => !v)}
                   style={{
-                    marginLeft: "auto",
                     background: "transparent",
                     color: "var(--subtext)",
                   }}
@@ -936,32 +2593,39 @@ export default function ChatApp({ socket }) {
             <>{safeChats.length ? "Select a chat" : "Start a conversation"}</>
           )}
         </header>
-        <div className="messages">
-          {active &&
-              (Array.isArray(messages) ? messages : []).map((m) => {
-              const isMine = String(m.sender) === String(user?.id);
-              return (
-                <div key={m.id || m._id} className={`msg ${isMine ? "mine" : ""}`}>
-                  <div className="meta">
-                    <span className="author">{isMine ? "You" : "Them"}</span>
-                    <span className="time">
-                      {new Date(m.createdAt || m.time).toLocaleTimeString()}
-                    </span>
-                  </div>
-                  <div className="bubble">
-                    {decryptMessage(m.content)}
-                    {isMine && (
-                      <span
-                        style={{ marginLeft: 8, color: "var(--subtext)", fontSize: 12 }}
-                      >
-                        {renderTicks(m, active, user?.id)}
-                      </span>
-                    )}
-                  </div>
-                </div>
-              );
-            })}
+        {active && activePins.length > 0 && (
+          <PinnedBanner
+            pins={activePins.map((m) => ({
+              id: messageKey(m),
+              text: previewText(plaintexts[messageKey(m)]?.body),
+            }))}
+            onOpen={jumpToMessage}
+            onUnpin={(id) => togglePin(activePins.find((m) => messageKey(m) === id))}
+          />
+        )}
+        <div className="messages" ref={messagesRef} onScroll={handleMessagesScroll}>
+          {active && history.loadingOlder && (
+            <div className="typing" style={{ textAlign: "center" }}>Loading older messages…</div>
+          )}
+          {active && (
+            <MessageList
+              key={String(active.id || active._id)}
+              items={visibleMessages}
+              getKey={messageKey}
+              renderItem={renderMessage}
+              scrollRef={messagesRef}
+              stickToBottomRef={atBottomRef}
+              apiRef={listApiRef}
+            />
+          )}
           <div ref={endRef} />
+          {active && !atBottom && (
+            <div className="jump-latest-anchor">
+              <button type="button" className="jump-latest" title="Jump to latest" onClick={scrollToLatest}>
+                ↓{newBelow > 0 && <span className="jump-latest-count">{newBelow}</span>}
+              </button>
+            </div>
+          )}
           {!active && !safeChats.length && (
             <div className="typing" style={{ padding: 16 }}>
               Use the search box to find a user and start a chat.
@@ -969,106 +2633,160 @@ export default function ChatApp({ socket }) {
           )}
         </div>
         {active && (
-          <form className="input" onSubmit={send}>
-            <input
-              value={input}
-              onChange={(e) => {
-                setInput(e.target.value);
-                if (socket && socket.connected) {
-                  socket.emit("typing", {
-                    chatId: active.id || active._id,
-                    typing: true,
-                  });
-                }
-              }}
-              placeholder={socket?.connected ? "Type a message" : "Connecting..."}
-              disabled={!socket || !socket.connected}
-            />
-            <button type="submit" disabled={!socket || !socket.connected || !input.trim()}>
-              {socket?.connected ? "Send" : "Connecting..."}
-            </button>
-            {socket && !socket.connected && (
-              <div style={{ 
-                position: "absolute", 
-                bottom: "100%", 
-                left: 0, 
-                right: 0, 
-                padding: "4px 8px", 
-                background: "#f66", 
-                color: "white", 
-                fontSize: "12px",
-                textAlign: "center"
-              }}>
-                Not connected to server. Attempting to reconnect...
-              </div>
-            )}
-          </form>
+          <Composer
+            key={String(active.id || active._id)}
+            onSend={editTarget ? (text, extras) => editMessage(editTarget, text, extras) : send}
+            onTyping={handleComposerTyping}
+            offline={!!socket && !socket.connected}
+            notice={actionError}
+            onDismissNotice={dismissActionError}
+            replyTo={
+              replyTarget && {
+                author: getSenderName(replyTarget.sender),
+                text: previewText(plaintexts[messageKey(replyTarget)]?.body),
+              }
+            }
+            onCancelReply={() => setReplyTarget(null)}
+            editing={
+              editTarget && {
+                id: messageKey(editTarget),
+                text: plaintexts[messageKey(editTarget)]?.text || "",
+                mentions: plaintexts[messageKey(editTarget)]?.body?.mentions,
+              }
+            }
+            onCancelEdit={() => setEditTarget(null)}
+            onAttach={attachFiles}
+            uploads={uploads.filter((u) => u.chatId === String(active.id || active._id))}
+            onCancelUpload={cancelUpload}
+            onRetryUpload={retryUpload}
+            onVoiceNote={sendVoiceNote}
+            members={mentionCandidates}
+          />
         )}
-        {active?.isGroup && showGroupInfo && (
-          <div
-            style={{
-              padding: 12,
-              borderTop: "1px solid #1f2c34",
-              background: "var(--panel)",
-            }}
-          >
-            <div style={{ fontWeight: 600, marginBottom: 8 }}>Group Members</div>
-            <ul className="users">
-              {groupMembers.members.map((m) => (
-                <li key={m.id || m._id}>
-                  {m.name || m.username}{" "}
-                  {groupMembers.admin === (m.id || m._id) ? "(admin)" : ""}
-                  {groupMembers.admin === user?.id && (m.id || m._id) !== user?.id && (
-                    <button
-                      style={{ float: "right", background: "#26323a" }}
-                      onClick={async () => {
-                        await apiPost(
-                          `/api/chats/${active.id || active._id}/members/remove`,
-                          { userId: m.id || m._id },
-                          token
-                        ).catch(async () => {
-                          // fallback to DELETE endpoint
-                          await fetch(
-                            `${
-                              import.meta.env.VITE_API_URL || "http://localhost:5000"
-                            }/api/chats/${active.id || active._id}/members/${
-                              m.id || m._id
-                            }`,
-                            {
-                              method: "DELETE",
-                              headers: {
-                                "Content-Type": "application/json",
-                                Authorization: `Bearer ${token}`,
-                              },
-                            }
-                          );
-                        });
-                        const info = await apiGet(
-                          `/api/chats/${active.id || active._id}/members`,
-                          token
-                        );
-                        setGroupMembers(info);
-                      }}
-                    >
-                      Remove
-                    </button>
-                  )}
-                </li>
-              ))}
-            </ul>
-          </div>
+        {active?.isGroup && showGroupInfo && groupMembers.chatId === String(active.id || active._id) && (
+          <GroupInfoPanel
+            chat={activeChat}
+            info={groupMembers}
+            selfId={user?.id}
+            token={token}
+            onChatUpdated={applyChatUpdate}
+            onInfoUpdated={(info) => applyGroupInfo(String(active.id || active._id), info)}
+            onLeft={removeChatLocally}
+          />
         )}
       </main>
+      {infoMessage && (
+        <MessageInfo
+          message={infoMessage}
+          recipients={messageRecipients(infoMessage, activeChat, user?.id).map((id) => ({
+            id,
+            ...(memberProfiles[id] || FORMER_MEMBER),
+          }))}
+          onClose={closeMessageInfo}
+        />
+      )}
+      {forwarding && (
+        <ForwardDialog
+          count={forwarding.messages.length}
+          chats={chats}
+          getChatTitle={getChatTitle}
+          token={token}
+          selfId={user?.id}
+          results={forwardResults}
+          skipped={forwarding.skipped}
+          onSubmit={(targets) => forwardMessages(forwarding.messages, targets)}
+          onClose={closeForwardDialog}
+        />
+      )}
     </div>
   );
 }
 
-function renderTicks(message, chat, selfId) {
-  // For 1:1: check the other member's status
-  const statuses = message.status ? Object.values(message.status) : [];
-  const seen = statuses.includes("seen");
-  const delivered = statuses.includes("delivered") || seen;
-  if (seen) return "✔✔";
-  if (delivered) return "✔✔";
-  return "✔";
+const UNKNOWN_AUTHOR = { name: "Unknown" };
+const FORMER_MEMBER = { name: "Former member" };
+
+function messageKey(m) {
+  return String(m.id || m._id);
+}
+
+// A forwarded copy drops the parts that only make sense in the original chat
+function forwardedBody({ quote, mentions, ...body }) {
+  return { ...body, forwarded: true };
+}
+
+// Search index documents for a decrypted message (none if it has no text)
+function searchDocs(message, decrypted, chatId) {
+  if (!decrypted?.ok || message.deleted) return [];
+  const text = [decrypted.body?.text, decrypted.body?.attachment?.name].filter(Boolean).join(" ");
+  if (!text) return [];
+  return [
+    {
+      id: messageKey(message),
+      chatId: String(message.chat || message.chatId || chatId),
+      sender: message.sender,
+      createdAt: message.createdAt,
+      text,
+    },
+  ];
+}
+
+// Server-visible list of mentioned user ids, so it can notify them without
+// reading the encrypted body
+function mentionedUserIds(body) {
+  const ids = [...new Set((body.mentions || []).map((m) => String(m.userId)))];
+  return ids.length ? ids : undefined;
+}
+
+// `reactions` maps userId -> emoji; a null emoji clears the user's reaction
+function withReaction(reactions, userId, emoji) {
+  const { [String(userId)]: _previous, ...rest } = reactions || {};
+  return emoji ? { ...rest, [String(userId)]: emoji } : rest;
+}
+
+const STATUS_RANK = { delivered: 1, seen: 2, played: 3 };
+
+// Records a receipt without ever moving a member's status backwards; events
+// can arrive out of order. `receipts` keeps when each step happened.
+function withStatus(message, userId, status, at = new Date().toISOString()) {
+  const id = String(userId);
+  const current = message.status?.[id];
+  const receipt = message.receipts?.[id] || {};
+  const next = (STATUS_RANK[status] || 0) > (STATUS_RANK[current] || 0) ? status : current;
+  return {
+    ...message,
+    status: { ...(message.status || {}), [id]: next },
+    receipts: { ...(message.receipts || {}), [id]: { ...receipt, [`${status}At`]: receipt[`${status}At`] || at } },
+  };
+}
+
+// Everyone the message went to, other than us. Envelopes list the members
+// they were encrypted for at send time, so later joins and leaves don't
+// change it; legacy 1:1 envelopes don't, but a 1:1 chat has only one peer.
+function messageRecipients(message, chat, selfId) {
+  const ids = envelopeRecipients(message.content) || (chat?.members || []).map((m) => String(m.id || m._id));
+  return ids.filter((id) => id !== String(selfId));
+}
+
+// "sent", "delivered" once every recipient has the message, "read" once
+// every recipient has seen it. A member with no recorded status counts as
+// not having it yet.
+function tickState(message, chat, selfId) {
+  const recipients = messageRecipients(message, chat, selfId);
+  const ranks = recipients.map((id) => STATUS_RANK[message.status?.[id]] || 0);
+  if (!ranks.length) return "sent";
+  if (ranks.every((rank) => rank >= STATUS_RANK.seen)) return "read";
+  if (ranks.every((rank) => rank >= STATUS_RANK.delivered)) return "delivered";
+  return "sent";
+}
+
+// The messages endpoint returns either a bare array (oldest first) or
+// { messages, hasMore, nextCursor }. The cursor for the next older page is
+// the server's nextCursor, falling back to the oldest message id.
+function normalizeMessagePage(data) {
+  const items = Array.isArray(data) ? data : Array.isArray(data?.messages) ? data.messages : data ? [data] : [];
+  const hasMore =
+    !Array.isArray(data) && typeof data?.hasMore === "boolean" ? data.hasMore : items.length >= MESSAGE_PAGE_SIZE;
+  const oldest = items[0];
+  const cursor = data?.nextCursor || (oldest ? oldest.id || oldest._id : null);
+  return { items, hasMore, cursor };
 }
@@ -0,0 +1,299 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { findMentions } from "../utils/messageBody";
+import { hasFormatting } from "../utils/richText";
+import RichText from "./RichText.jsx";
+import VoiceRecorder from "./VoiceRecorder.jsx";
+
+const MAX_ROWS = 6;
+const MAX_SUGGESTIONS = 6;
+
+// Ctrl/Cmd shortcuts that wrap the selection in a formatting marker
+function shortcutMarker(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const key = e.key.toLowerCase();
+  if (key === "b" && !e.shiftKey) return "*";
+  if (key === "i" && !e.shiftKey) return "_";
+  if (key === "x" && e.shiftKey) return "~";
+  if (key === "e" && !e.shiftKey) return "`";
+  return null;
+}
+
+// Message input. Owns the draft so typing doesn't re-render the chat;
+// `onTyping(text)` gets the draft on every change.
+// `onSend(text, { mentions })` resolves to false when the message could not
+// be queued, in which case the draft is restored. `replyTo` ({ author, text })
+// shows the quoted message above the input. `editing` ({ id, text, mentions })
+// loads an existing message into the input; submitting then saves the edit.
+// Files picked or pasted go to `onAttach(files)`; `uploads` lists the ones
+// still in flight for this chat. Recorded voice notes go to `onVoiceNote`.
+// Enter sends and Shift+Enter adds a line; formatted drafts get a live
+// preview, and Ctrl/Cmd+B, I, E and Shift+X wrap the selection. Typing "@"
+// suggests people from `members` ({ id, name }); picked ones are sent as
+// { userId, offset, length } mention entities. `notice` is an error from a
+// message action (edit, delete, pin…), shown above the input until
+// `onDismissNotice`.
+export default function Composer({
+  onSend,
+  onTyping,
+  offline,
+  notice,
+  onDismissNotice,
+  replyTo,
+  onCancelReply,
+  editing,
+  onCancelEdit,
+  onAttach,
+  uploads = [],
+  onCancelUpload,
+  onRetryUpload,
+  onVoiceNote,
+  members = [],
+}) {
+  const [input, setInput] = useState("");
+  const fileInputRef = useRef(null);
+  const textareaRef = useRef(null);
+  const selectionRef = useRef(null); // selection to restore after a shortcut edit
+  const [mention, setMention] = useState(null); // { start, query, index } while "@name" is being typed
+  const pickedRef = useRef([]); // members chosen from the suggestions, for the mention entities
+  const editingId = editing?.id;
+  // `editing` is rebuilt on every parent render; the draft only resets when
+  // another message is picked
+  const editingRef = useRef(editing);
+  editingRef.current = editing;
+
+  useEffect(() => {
+    const target = editingRef.current;
+    setInput(editingId ? target.text : "");
+    pickedRef.current = editingId
+      ? (target.mentions || []).map((m) => ({
+          id: m.userId,
+          name: target.text.slice(m.offset + 1, m.offset + m.length),
+        }))
+      : [];
+  }, [editingId]);
+
+  const suggestions = useMemo(() => {
+    if (!mention) return [];
+    const query = mention.query.toLowerCase();
+    return members
+      .filter((m) => m.name.toLowerCase().includes(query))
+      .sort((a, b) => b.name.toLowerCase().startsWith(query) - a.name.toLowerCase().startsWith(query))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [mention, members]);
+
+  // Opens the suggestions while the caret sits right after "@query"
+  function updateMention(el) {
+    const before = el.value.slice(0, el.selectionStart);
+    const match = el.selectionStart === el.selectionEnd && before.match(/(?:^|\s)@([^\s@]*)$/);
+    if (!match || !members.length) {
+      setMention(null);
+      return;
+    }
+    const start = el.selectionStart - match[1].length - 1;
+    setMention((cur) => (cur?.start === start && cur.query === match[1] ? cur : { start, query: match[1], index: 0 }));
+  }
+
+  function insertMention(member) {
+    const end = mention.start + 1 + mention.query.length;
+    const inserted = `@${member.name} `;
+    setInput(input.slice(0, mention.start) + inserted + input.slice(end));
+    selectionRef.current = [mention.start + inserted.length, mention.start + inserted.length];
+    if (!pickedRef.current.some((m) => m.id === member.id)) pickedRef.current.push(member);
+    setMention(null);
+  }
+
+  useLayoutEffect(() => {
+    const selection = selectionRef.current;
+    if (!selection || !textareaRef.current) return;
+    selectionRef.current = null;
+    textareaRef.current.setSelectionRange(selection[0], selection[1]);
+  }, [input]);
+
+  // Wraps the selection (or an empty pair at the caret) in `marker`;
+  // multi-line code becomes a fenced block
+  function applyFormat(marker) {
+    const el = textareaRef.current;
+    const { selectionStart: start, selectionEnd: end } = el;
+    const selected = input.slice(start, end);
+    const fenced = marker === "`" && selected.includes("\n");
+    const open = fenced ? "```\n" : marker;
+    const close = fenced ? "\n```" : marker;
+    setInput(input.slice(0, start) + open + selected + close + input.slice(end));
+    selectionRef.current = [start + open.length, end + open.length];
+  }
+
+  function handleKeyDown(e) {
+    if (suggestions.length) {
+      const step = { ArrowDown: 1, ArrowUp: -1 }[e.key];
+      if (step) {
+        e.preventDefault();
+        setMention((cur) => ({ ...cur, index: (cur.index + step + suggestions.length) % suggestions.length }));
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        insertMention(suggestions[mention.index] || suggestions[0]);
+        return;
+      }
+      if (e.key === "Escape") {
+        setMention(null);
+        return;
+      }
+    }
+    if (e.key === "Escape" && editing) {
+      onCancelEdit?.();
+      return;
+    }
+    if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      e.currentTarget.form.requestSubmit();
+      return;
+    }
+    const marker = shortcutMarker(e);
+    if (marker) {
+      e.preventDefault();
+      applyFormat(marker);
+    }
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const text = input.trim();
+    if (!text) return;
+    setInput("");
+    setMention(null);
+    const sent = await onSend(text, { mentions: findMentions(text, pickedRef.current) });
+    if (sent === false) setInput((cur) => cur || text);
+    else pickedRef.current = [];
+  }
+
+  return (
+    <form className="input" onSubmit={handleSubmit}>
+      {uploads.length > 0 && (
+        <ul className="uploads">
+          {uploads.map((u) => (
+            <li key={u.id} className={u.state}>
+              <span className="upload-name" title={u.file.name}>{u.file.name}</span>
+              {u.state === "failed" ? (
+                <>
+                  <span className="upload-error" title={u.error}>⚠ Failed</span>
+                  <button type="button" onClick={() => onRetryUpload(u.id)}>Retry</button>
+                </>
+              ) : (
+                <progress max={1} value={u.progress} />
+              )}
+              <button type="button" onClick={() => onCancelUpload(u.id)} title="Cancel upload">✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {editing && (
+        <div className="reply-preview">
+          <div className="quote">
+            <span className="quote-author">Editing message</span>
+            <span className="quote-text">{editing.text}</span>
+          </div>
+          <button type="button" onClick={onCancelEdit} title="Cancel edit">✕</button>
+        </div>
+      )}
+      {replyTo && (
+        <div className="reply-preview">
+          <div className="quote">
+            <span className="quote-author">Replying to {replyTo.author}</span>
+            <span className="quote-text">{replyTo.text}</span>
+          </div>
+          <button type="button" onClick={onCancelReply} title="Cancel reply">✕</button>
+        </div>
+      )}
+      <button
+        type="button"
+        className="attach"
+        title="Attach files"
+        disabled={!!editing}
+        onClick={() => fileInputRef.current?.click()}
+      >
+        📎
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        hidden
+        onChange={(e) => {
+          onAttach?.(e.target.files);
+          e.target.value = "";
+        }}
+      />
+      {hasFormatting(input) && (
+        <div className="composer-preview">
+          <RichText text={input} />
+        </div>
+      )}
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox">
+          {suggestions.map((m, i) => (
+            <li
+              key={m.id}
+              role="option"
+              aria-selected={i === mention.index}
+              className={i === mention.index ? "active" : ""}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(m);
+              }}
+            >
+              @{m.name}
+            </li>
+          ))}
+        </ul>
+      )}
+      <textarea
+        ref={textareaRef}
+        value={input}
+        rows={Math.min(MAX_ROWS, input.split("\n").length)}
+        onChange={(e) => {
+          setInput(e.target.value);
+          updateMention(e.target);
+          onTyping?.(e.target.value);
+        }}
+        onSelect={(e) => updateMention(e.currentTarget)}
+        onBlur={() => setMention(null)}
+        onKeyDown={handleKeyDown}
+        onPaste={(e) => {
+          const files = e.clipboardData?.files;
+          if (!files?.length || editing) return;
+          e.preventDefault();
+          onAttach?.(files);
+        }}
+        placeholder="Type a message"
+      />
+      <VoiceRecorder onRecorded={onVoiceNote} disabled={!!editing || !onVoiceNote} />
+      <button type="submit" disabled={!input.trim()}>
+        {editing ? "Save" : "Send"}
+      </button>
+      {(offline || notice) && (
+        <div className="composer-notices">
+          {notice && (
+            <div className="composer-notice" role="alert">
+              <span>⚠ {notice}</span>
+              <button type="button" title="Dismiss" onClick={onDismissNotice}>
+                ✕
+              </button>
+            </div>
+          )}
+          {offline && (
+            <div style={{
+              padding: "4px 8px",
+              background: "#f66",
+              color: "white",
+              fontSize: "12px",
+              textAlign: "center"
+            }}>
+              Offline. Messages will be sent when the connection is back.
+            </div>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
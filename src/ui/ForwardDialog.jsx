@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { useEscapeKey, useUserSearch } from "../lib/hooks";
+import { formatTimestamp } from "../utils/dates";
+
+const STATUS_LABELS = { sending: "Sending…", sent: "Sent", failed: "Failed" };
+
+/**
+ * Picker for forwarding `count` messages. Lists the existing chats plus user
+ * search results; `onSubmit(targets)` receives [key, { chat } | { user }]
+ * pairs and may return a promise; the button stays disabled until it
+ * settles. Once submitted, `results` ([{ key, title, status, error }]) is
+ * shown instead of the picker, along with the `skipped` messages that could
+ * not be decrypted and so were not forwarded.
+ */
+export default function ForwardDialog({
+  count,
+  chats,
+  getChatTitle,
+  token,
+  selfId,
+  results,
+  skipped = [],
+  onSubmit,
+  onClose,
+}) {
+  const [filter, setFilter] = useState("");
+  const [selected, setSelected] = useState(() => new Map()); // key -> target
+  const [submitting, setSubmitting] = useState(false);
+
+  const users = useUserSearch(filter, token).filter((u) => String(u.id || u._id) !== String(selfId));
+  useEscapeKey(onClose);
+
+  async function submit() {
+    if (submitting) return;
+    setSubmitting(true);
+    try {
+      await onSubmit([...selected.entries()]);
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  function toggle(key, target) {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      if (next.has(key)) next.delete(key);
+      else next.set(key, target);
+      return next;
+    });
+  }
+
+  const needle = filter.trim().toLowerCase();
+  const visibleChats = chats.filter((c) => !needle || getChatTitle(c).toLowerCase().includes(needle));
+  // People we already have a 1:1 chat with show up in the chat list
+  const directPeers = new Set(
+    chats.filter((c) => !c.isGroup).flatMap((c) => (c.members || []).map((m) => String(m.id || m._id)))
+  );
+  const visibleUsers = users.filter((u) => !directPeers.has(String(u.id || u._id)));
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal forward-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3>Forward {count === 1 ? "message" : `${count} messages`}</h3>
+        {results ? (
+          <>
+            <ul className="users">
+              {results.map((r) => (
+                <li key={r.key} className={`forward-result ${r.status}`}>
+                  <span>{r.title}</span>
+                  <span title={r.error}>
+                    {STATUS_LABELS[r.status]}
+                    {r.status === "failed" && r.error ? `: ${r.error}` : ""}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            {skipped.length > 0 && (
+              <div className="forward-skipped">
+                {skipped.length === 1 ? "1 message couldn't" : `${skipped.length} messages couldn't`} be decrypted
+                and {skipped.length === 1 ? "wasn't" : "weren't"} forwarded:{" "}
+                {skipped.map((m) => formatTimestamp(m.createdAt) || "unknown time").join(", ")}
+              </div>
+            )}
+            <div className="modal-actions">
+              <button type="button" onClick={onClose}>Done</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <input
+              autoFocus
+              placeholder="Search chats or people"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+            <ul className="users forward-targets">
+              {visibleChats.map((c) => {
+                const key = `chat:${c.id || c._id}`;
+                return (
+                  <li key={key} className={selected.has(key) ? "self" : ""} onClick={() => toggle(key, { chat: c })}>
+                    <input type="checkbox" readOnly checked={selected.has(key)} /> {getChatTitle(c)}
+                  </li>
+                );
+              })}
+              {visibleUsers.map((u) => {
+                const key = `user:${u.id || u._id}`;
+                return (
+                  <li key={key} className={selected.has(key) ? "self" : ""} onClick={() => toggle(key, { user: u })}>
+                    <input type="checkbox" readOnly checked={selected.has(key)} /> {u.name || u.username}{" "}
+                    <span style={{ color: "var(--subtext)" }}>@{u.username}</span>
+                  </li>
+                );
+              })}
+              {!visibleChats.length && !visibleUsers.length && <li className="typing">No matches</li>}
+            </ul>
+            <div className="modal-actions">
+              <button type="button" onClick={onClose} style={{ background: "#26323a" }}>
+                Cancel
+              </button>
+              <button type="button" disabled={!selected.size || submitting} onClick={submit}>
+                {submitting ? "Forwarding…" : `Forward${selected.size > 1 ? ` to ${selected.size} chats` : ""}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
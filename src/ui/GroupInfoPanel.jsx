@@ -0,0 +1,239 @@
+import React, { useState } from "react";
+import { apiDelete, apiPatch, apiPost, apiPut } from "../lib/api";
+import { useUserSearch } from "../lib/hooks";
+import { isGroupAdmin } from "../utils/groupInfo";
+import Avatar from "./Avatar.jsx";
+
+/**
+ * Group details, members and roles. Admins can edit the details, add and
+ * remove members and promote or dismiss admins; the owner can also hand
+ * ownership over. Member changes answer with the new `{ members, admins,
+ * owner }`, passed to `onInfoUpdated`; detail edits answer with the chat,
+ * passed to `onChatUpdated`. Everyone else hears about it over the socket.
+ */
+export default function GroupInfoPanel({ chat, info, selfId, token, onChatUpdated, onInfoUpdated, onLeft }) {
+  const chatId = String(chat.id || chat._id);
+  const isAdmin = isGroupAdmin(info, selfId);
+  const isOwner = info.owner === String(selfId);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: "", avatarUrl: "", description: "" });
+  const [adding, setAdding] = useState(false);
+  const [query, setQuery] = useState("");
+  const [picked, setPicked] = useState(() => new Map()); // userId -> user
+  const results = useUserSearch(adding ? query : "", token);
+
+  const memberIds = new Set(info.members.map((m) => String(m.id || m._id)));
+
+  // Runs one admin action, showing its error in the panel
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error("Group update failed:", err);
+      setError(err.body?.error || err.message || "Something went wrong");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const base = `/api/chats/${encodeURIComponent(chatId)}`;
+  const memberPath = (userId) => `${base}/members/${encodeURIComponent(userId)}`;
+  const adminPath = (userId) => `${base}/admins/${encodeURIComponent(userId)}`;
+
+  async function saveDetails(e) {
+    e.preventDefault();
+    const ok = await run(async () => {
+      onChatUpdated(
+        await apiPatch(
+          base,
+          { name: form.name.trim(), avatarUrl: form.avatarUrl.trim(), description: form.description.trim() },
+          token
+        )
+      );
+    });
+    if (ok) setEditing(false);
+  }
+
+  async function addPicked() {
+    const ok = await run(async () => {
+      onInfoUpdated(await apiPost(`${base}/members`, { userIds: [...picked.keys()] }, token));
+    });
+    if (ok) {
+      setPicked(new Map());
+      setQuery("");
+      setAdding(false);
+    }
+  }
+
+  function removeMember(member) {
+    if (!window.confirm(`Remove ${member.name || member.username} from the group?`)) return;
+    run(async () => onInfoUpdated(await apiDelete(memberPath(member.id || member._id), token)));
+  }
+
+  function setAdmin(member, admin) {
+    const userId = member.id || member._id;
+    run(async () =>
+      onInfoUpdated(admin ? await apiPut(adminPath(userId), {}, token) : await apiDelete(adminPath(userId), token))
+    );
+  }
+
+  function transferOwnership(member) {
+    if (!window.confirm(`Make ${member.name || member.username} the owner? You will stay an admin.`)) return;
+    run(async () => onInfoUpdated(await apiPost(`${base}/owner`, { userId: member.id || member._id }, token)));
+  }
+
+  async function leave() {
+    if (isOwner && info.members.length > 1) {
+      setError("Transfer ownership to another member before leaving.");
+      return;
+    }
+    if (!window.confirm(`Leave "${chat.name}"?`)) return;
+    if (await run(() => apiPost(`${base}/leave`, {}, token))) onLeft(chatId);
+  }
+
+  return (
+    <div className="group-info">
+      <div className="group-info-details">
+        <Avatar name={chat.name} url={chat.avatarUrl} size={48} />
+        <div style={{ minWidth: 0 }}>
+          <div style={{ fontWeight: 600 }}>{chat.name}</div>
+          <div className="group-info-description">{chat.description || "No description"}</div>
+        </div>
+        {isAdmin && !editing && (
+          <button
+            type="button"
+            style={{ marginLeft: "auto", background: "#26323a" }}
+            onClick={() => {
+              setForm({ name: chat.name || "", avatarUrl: chat.avatarUrl || "", description: chat.description || "" });
+              setEditing(true);
+            }}
+          >
+            Edit
+          </button>
+        )}
+      </div>
+      {editing && (
+        <form className="group-info-form" onSubmit={saveDetails}>
+          <input
+            placeholder="Group name"
+            value={form.name}
+            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+            required
+          />
+          <input
+            placeholder="Avatar URL"
+            value={form.avatarUrl}
+            onChange={(e) => setForm((f) => ({ ...f, avatarUrl: e.target.value }))}
+          />
+          <textarea
+            placeholder="Description"
+            rows={3}
+            value={form.description}
+            onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))}
+          />
+          <div className="modal-actions">
+            <button type="button" onClick={() => setEditing(false)} style={{ background: "#26323a" }}>
+              Cancel
+            </button>
+            <button type="submit" disabled={busy || !form.name.trim()}>
+              Save
+            </button>
+          </div>
+        </form>
+      )}
+      {error && <div className="group-info-error">{error}</div>}
+      <div className="group-info-heading">
+        <span>{info.members.length} members</span>
+        {isAdmin && (
+          <button type="button" onClick={() => setAdding((v) => !v)} style={{ background: "#26323a" }}>
+            {adding ? "Cancel" : "Add members"}
+          </button>
+        )}
+      </div>
+      {adding && (
+        <div className="group-info-add">
+          <input placeholder="Search users to add" value={query} onChange={(e) => setQuery(e.target.value)} autoFocus />
+          <ul className="users">
+            {results
+              .filter((u) => !memberIds.has(String(u.id || u._id)))
+              .map((u) => {
+                const id = String(u.id || u._id);
+                return (
+                  <li
+                    key={id}
+                    className={picked.has(id) ? "self" : ""}
+                    style={{ cursor: "pointer" }}
+                    onClick={() =>
+                      setPicked((prev) => {
+                        const next = new Map(prev);
+                        if (next.has(id)) next.delete(id);
+                        else next.set(id, u);
+                        return next;
+                      })
+                    }
+                  >
+                    <input type="checkbox" readOnly checked={picked.has(id)} /> {u.name || u.username}{" "}
+                    <span style={{ color: "var(--subtext)" }}>@{u.username}</span>
+                  </li>
+                );
+              })}
+          </ul>
+          <button type="button" disabled={busy || !picked.size} onClick={addPicked}>
+            Add {picked.size || ""}
+          </button>
+        </div>
+      )}
+      <ul className="users">
+        {info.members.map((m) => {
+          const id = String(m.id || m._id);
+          const memberIsAdmin = info.admins.includes(id);
+          const isSelf = id === String(selfId);
+          return (
+            <li key={id} className="group-member">
+              <Avatar name={m.name || m.username} url={m.avatarUrl} size={28} />
+              <span className="group-member-name">
+                {isSelf ? "You" : m.name || m.username}
+                {info.owner === id && <span className="role-badge">Owner</span>}
+                {info.owner !== id && memberIsAdmin && <span className="role-badge">Admin</span>}
+              </span>
+              {!isSelf && isAdmin && info.owner !== id && (
+                <span className="group-member-actions">
+                  {/* Only the owner can dismiss admins */}
+                  {!memberIsAdmin && (
+                    <button type="button" disabled={busy} onClick={() => setAdmin(m, true)}>
+                      Make admin
+                    </button>
+                  )}
+                  {memberIsAdmin && isOwner && (
+                    <button type="button" disabled={busy} onClick={() => setAdmin(m, false)}>
+                      Dismiss admin
+                    </button>
+                  )}
+                  {isOwner && (
+                    <button type="button" disabled={busy} onClick={() => transferOwnership(m)}>
+                      Make owner
+                    </button>
+                  )}
+                  {(!memberIsAdmin || isOwner) && (
+                    <button type="button" disabled={busy} onClick={() => removeMember(m)}>
+                      Remove
+                    </button>
+                  )}
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <button type="button" className="group-info-leave" disabled={busy} onClick={leave}>
+        Leave group
+      </button>
+    </div>
+  );
+}
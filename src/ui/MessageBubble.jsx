@@ -0,0 +1,211 @@
+import React, { memo, useState } from "react";
+import { describeDecryptError } from "../utils/cryptoUtils";
+import { formatTime, formatTimestamp } from "../utils/dates";
+import Attachment from "./Attachment.jsx";
+import Avatar from "./Avatar.jsx";
+import RichText from "./RichText.jsx";
+import VoicePlayer from "./VoicePlayer.jsx";
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+const TICKS = {
+  sent: { glyph: "✔", title: "Sent" },
+  delivered: { glyph: "✔✔", title: "Delivered to everyone" },
+  read: { glyph: "✔✔", title: "Read by everyone" },
+};
+
+function renderText(decrypted, selfId) {
+  if (!decrypted) return <span className="undecryptable">Decrypting…</span>;
+  if (decrypted.ok) return <RichText text={decrypted.text} mentions={decrypted.body?.mentions} selfId={selfId} />;
+  return <span className="undecryptable">🔒 {describeDecryptError(decrypted.reason)}</span>;
+}
+
+// userId -> emoji, grouped into [emoji, userIds] chips in first-seen order
+function groupReactions(reactions) {
+  const groups = new Map();
+  for (const [userId, emoji] of Object.entries(reactions || {})) {
+    if (!emoji) continue;
+    if (!groups.has(emoji)) groups.set(emoji, []);
+    groups.get(emoji).push(userId);
+  }
+  return [...groups];
+}
+
+// One chat bubble. Memoized so only rows whose message, decrypted text or
+// ticks changed re-render; `onAction(action, message)` must be stable.
+// `ticks` is "sent", "delivered" or "read" for our own messages.
+// While `selecting`, clicking a sent bubble toggles it in the selection.
+// `author` ({ name, avatarUrl }) is set for other people's messages in
+// groups; name and avatar are shown on the first message of a run
+// (`groupStart`).
+function MessageBubble({
+  message,
+  decrypted,
+  quoteAuthor,
+  isMine,
+  author,
+  groupStart,
+  ticks,
+  highlighted,
+  selected,
+  selecting,
+  pinned,
+  starred,
+  selfId,
+  memberNames,
+  onAction,
+}) {
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [picking, setPicking] = useState(false);
+  const reactions = groupReactions(message.reactions);
+  const body = decrypted?.body;
+  // Ours: has anyone played it. Theirs: have we.
+  const played = isMine
+    ? Object.values(message.status || {}).includes("played")
+    : message.status?.[String(selfId)] === "played";
+  const quote = body?.quote;
+  const sent = !message.outboxState;
+  const sentAt = message.createdAt || message.time;
+  const classes = [
+    "msg",
+    isMine && "mine",
+    author && "with-author",
+    groupStart ? "group-start" : "continued",
+  ].filter(Boolean);
+  const header = (
+    <>
+      {author && groupStart && (
+        <span className="msg-avatar">
+          <Avatar name={author.name} url={author.avatarUrl} size={28} />
+        </span>
+      )}
+      {author && groupStart && <span className="author">{author.name}</span>}
+      <span className="time" title={formatTimestamp(sentAt)}>
+        {formatTime(sentAt)}
+      </span>
+    </>
+  );
+
+  if (message.deleted) {
+    return (
+      <div className={classes.join(" ")}>
+        <div className="meta">{header}</div>
+        <div className="bubble">
+          <span className="undecryptable">🚫 This message was deleted</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={[...classes, highlighted && "highlighted", selected && "selected"].filter(Boolean).join(" ")}
+      onClick={selecting && sent ? () => onAction("select", message) : undefined}
+    >
+      <div className="meta">
+        {header}
+        {pinned && <span title="Pinned">📌</span>}
+        {starred && <span className="starred" title="Starred">★</span>}
+        {message.edited && (
+          <span className="edited" title={message.editedAt ? new Date(message.editedAt).toLocaleString() : undefined}>
+            edited
+          </span>
+        )}
+      </div>
+      {sent && !selecting && (
+        <div className="msg-actions">
+          <button type="button" title="React" onClick={() => setPicking((cur) => !cur)}>☺</button>
+          <button type="button" title="Reply" onClick={() => onAction("reply", message)}>↩</button>
+          {decrypted?.ok && (
+            <button type="button" title="Forward" onClick={() => onAction("forward", message)}>↪</button>
+          )}
+          <button type="button" title={starred ? "Unstar" : "Star"} onClick={() => onAction("star", message)}>
+            {starred ? "★" : "☆"}
+          </button>
+          <button type="button" title={pinned ? "Unpin" : "Pin"} onClick={() => onAction("pin", message)}>📌</button>
+          <button type="button" title="Select" onClick={() => onAction("select", message)}>☐</button>
+          {isMine && decrypted?.ok && !body?.voice && (
+            <button type="button" title="Edit" onClick={() => onAction("edit", message)}>✎</button>
+          )}
+          {isMine && (
+            <button type="button" title="Message info" onClick={() => onAction("info", message)}>ⓘ</button>
+          )}
+          {isMine && (
+            <button type="button" title="Delete" onClick={() => setConfirmingDelete(true)}>🗑</button>
+          )}
+        </div>
+      )}
+      <div className="bubble">
+        {body?.forwarded && <div className="forwarded">↪ Forwarded</div>}
+        {(quote || message.replyTo) && (
+          <button type="button" className="quote" onClick={() => onAction("jumpToReply", message)}>
+            <span className="quote-author">{quoteAuthor || "Reply"}</span>
+            <span className="quote-text">{quote?.text || "Original message"}</span>
+          </button>
+        )}
+        {body?.attachment && <Attachment attachment={body.attachment} />}
+        {body?.voice && <VoicePlayer voice={body.voice} played={played} onPlay={() => onAction("played", message)} />}
+        {(!(body?.attachment || body?.voice) || decrypted.text) && renderText(decrypted, selfId)}
+        {isMine && message.outboxState !== "failed" && (
+          <span
+            className={`ticks ${message.outboxState ? "" : ticks}`}
+            title={message.outboxState ? "Waiting to send" : TICKS[ticks]?.title}
+          >
+            {message.outboxState ? "🕓" : TICKS[ticks]?.glyph}
+          </span>
+        )}
+        {isMine && message.outboxState === "failed" && (
+          <div className="send-failed">
+            <span title={message.outboxError}>⚠ Not sent</span>
+            <button type="button" onClick={() => onAction("retry", message)}>Retry</button>
+            <button type="button" onClick={() => onAction("discard", message)}>Discard</button>
+          </div>
+        )}
+        {picking && (
+          <div className="reaction-picker">
+            {QUICK_REACTIONS.map((emoji) => (
+              <button
+                key={emoji}
+                type="button"
+                onClick={() => {
+                  setPicking(false);
+                  onAction("react", message, emoji);
+                }}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+        {confirmingDelete && (
+          <div className="confirm-delete">
+            <button type="button" onClick={() => { setConfirmingDelete(false); onAction("deleteForMe", message); }}>
+              Delete for me
+            </button>
+            <button type="button" onClick={() => { setConfirmingDelete(false); onAction("deleteForEveryone", message); }}>
+              Delete for everyone
+            </button>
+            <button type="button" onClick={() => setConfirmingDelete(false)}>Cancel</button>
+          </div>
+        )}
+      </div>
+      {reactions.length > 0 && (
+        <div className="reactions">
+          {reactions.map(([emoji, userIds]) => (
+            <button
+              key={emoji}
+              type="button"
+              className={`reaction-chip ${userIds.includes(String(selfId)) ? "own" : ""}`}
+              title={userIds.map((id) => memberNames?.[id] || "Unknown").join(", ")}
+              disabled={!sent}
+              onClick={() => onAction("react", message, emoji)}
+            >
+              {emoji} {userIds.length}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default memo(MessageBubble);
@@ -0,0 +1,71 @@
+import React from "react";
+import { useEscapeKey } from "../lib/hooks";
+import { formatTimestamp } from "../utils/dates";
+import Avatar from "./Avatar.jsx";
+
+const SEEN = new Set(["seen", "played"]);
+
+function receiptTime(value) {
+  return (value && formatTimestamp(value)) || "—";
+}
+
+/**
+ * Delivery and read receipts of one of our messages, per recipient.
+ * `recipients` is [{ id, name, avatarUrl }]; the message's `status` and
+ * `receipts` maps are kept current by message:status, so the dialog updates
+ * while open.
+ */
+export default function MessageInfo({ message, recipients, onClose }) {
+  useEscapeKey(onClose);
+
+  const rows = recipients.map((member) => {
+    const status = message.status?.[member.id];
+    const receipt = message.receipts?.[member.id] || {};
+    const seen = SEEN.has(status);
+    return {
+      ...member,
+      seen,
+      delivered: seen || status === "delivered",
+      // Seeing a message implies having it; older receipts may lack the delivery time
+      deliveredAt: receipt.deliveredAt || (seen ? receipt.seenAt || receipt.playedAt : null),
+      seenAt: receipt.seenAt || receipt.playedAt,
+      playedAt: receipt.playedAt,
+    };
+  });
+  const readCount = rows.filter((r) => r.seen).length;
+  const deliveredCount = rows.filter((r) => r.delivered).length;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal message-info" onClick={(e) => e.stopPropagation()}>
+        <h3>Message info</h3>
+        <div className="message-info-summary">
+          Sent {receiptTime(message.createdAt)} · Delivered to {deliveredCount} of {rows.length} · Read by {readCount}{" "}
+          of {rows.length}
+        </div>
+        <ul className="users">
+          {rows.map((r) => (
+            <li key={r.id} className="message-info-row">
+              <Avatar name={r.name} url={r.avatarUrl} size={28} />
+              <div style={{ minWidth: 0 }}>
+                <div>{r.name}</div>
+                <div className="message-info-times">
+                  <span>{r.delivered ? "✔✔" : "✔"} Delivered: {r.delivered ? receiptTime(r.deliveredAt) : "not yet"}</span>
+                  <span className={r.seen ? "read" : ""}>
+                    ✔✔ Read: {r.seen ? receiptTime(r.seenAt) : "not yet"}
+                  </span>
+                  {r.playedAt && <span>▶ Played: {receiptTime(r.playedAt)}</span>}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <div className="modal-actions">
+          <button type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
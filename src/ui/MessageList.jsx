@@ -0,0 +1,159 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+
+// Extra area above and below the viewport that is kept rendered, in px
+const OVERSCAN_PX = 600;
+
+// Largest index i with offsets[i] <= y
+function findIndex(offsets, y, count) {
+  let lo = 0;
+  let hi = Math.max(0, count - 1);
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+function MeasuredRow({ rowKey, observer, children }) {
+  const ref = useRef(null);
+  useLayoutEffect(() => {
+    const el = ref.current;
+    observer.observe(el);
+    return () => observer.unobserve(el);
+  }, [observer]);
+  return (
+    <div ref={ref} data-key={rowKey} className="msg-row">
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Windowed list for the `.messages` scroll container. Only rows near the
+ * viewport are mounted; the rest are represented by two spacers whose
+ * heights come from measured rows (or `estimatedHeight` until measured).
+ *
+ * `scrollRef` is the scroll container; `stickToBottomRef` tells the list to
+ * stay pinned to the bottom while rows are being measured. `apiRef` receives
+ * `scrollToKey(key)`, which centers a row and returns false if it isn't listed.
+ */
+export default function MessageList({ items, getKey, renderItem, scrollRef, stickToBottomRef, apiRef, estimatedHeight = 72 }) {
+  const heightsRef = useRef(new Map()); // key -> measured height
+  const listRef = useRef(null);
+  const layoutRef = useRef(null);
+  const [layoutVersion, setLayoutVersion] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+
+  const layout = useMemo(() => {
+    const offsets = new Float64Array(items.length + 1);
+    const indexByKey = new Map();
+    for (let i = 0; i < items.length; i++) {
+      const key = getKey(items[i]);
+      indexByKey.set(key, i);
+      offsets[i + 1] = offsets[i] + (heightsRef.current.get(key) ?? estimatedHeight);
+    }
+    return { offsets, indexByKey };
+  }, [items, getKey, estimatedHeight, layoutVersion]);
+  layoutRef.current = layout;
+
+  const [observer] = useState(
+    () =>
+      new ResizeObserver((entries) => {
+        const el = scrollRef.current;
+        const listTop = listRef.current?.offsetTop || 0;
+        const { offsets, indexByKey } = layoutRef.current;
+        let changed = false;
+        let scrollDelta = 0;
+        for (const entry of entries) {
+          const key = entry.target.dataset.key;
+          const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.getBoundingClientRect().height;
+          const previous = heightsRef.current.get(key);
+          if (previous !== undefined && Math.abs(previous - height) < 0.5) continue;
+          heightsRef.current.set(key, height);
+          changed = true;
+          // A row above the viewport changing size would shift what the user is reading
+          const index = indexByKey.get(key);
+          const before = previous ?? estimatedHeight;
+          if (el && index !== undefined && offsets[index] + before <= el.scrollTop - listTop) {
+            scrollDelta += height - before;
+          }
+        }
+        if (!changed) return;
+        if (el && scrollDelta && !stickToBottomRef?.current) el.scrollTop += scrollDelta;
+        setLayoutVersion((v) => v + 1);
+      })
+  );
+
+  useEffect(() => () => observer.disconnect(), [observer]);
+
+  useEffect(() => {
+    if (!apiRef) return;
+    apiRef.current = {
+      scrollToKey(key) {
+        const el = scrollRef.current;
+        const { offsets, indexByKey } = layoutRef.current;
+        const index = indexByKey.get(key);
+        if (!el || index === undefined) return false;
+        const rowHeight = offsets[index + 1] - offsets[index];
+        const listTop = listRef.current?.offsetTop || 0;
+        el.scrollTop = Math.max(0, listTop + offsets[index] - (el.clientHeight - rowHeight) / 2);
+        return true;
+      },
+    };
+    return () => {
+      apiRef.current = null;
+    };
+  }, [apiRef, scrollRef]);
+
+  // Track the scroll container's visible window, at most once per frame
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    let frame = 0;
+    const update = () => {
+      frame = 0;
+      const top = el.scrollTop - (listRef.current?.offsetTop || 0);
+      const height = el.clientHeight;
+      setViewport((prev) => (prev.top === top && prev.height === height ? prev : { top, height }));
+    };
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+    update();
+    el.addEventListener("scroll", schedule, { passive: true });
+    const resizeObserver = new ResizeObserver(schedule);
+    resizeObserver.observe(el);
+    return () => {
+      el.removeEventListener("scroll", schedule);
+      resizeObserver.disconnect();
+      cancelAnimationFrame(frame);
+    };
+  }, [scrollRef]);
+
+  // Measured heights replace estimates; keep the bottom in view while that happens
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (el && stickToBottomRef?.current) el.scrollTop = el.scrollHeight;
+  }, [layoutVersion, scrollRef, stickToBottomRef]);
+
+  const { offsets } = layout;
+  const count = items.length;
+  const start = count ? findIndex(offsets, viewport.top - OVERSCAN_PX, count) : 0;
+  const end = count ? findIndex(offsets, viewport.top + viewport.height + OVERSCAN_PX, count) + 1 : 0;
+
+  return (
+    <div ref={listRef}>
+      <div style={{ height: offsets[start] }} />
+      {items.slice(start, end).map((item) => {
+        const key = getKey(item);
+        return (
+          <MeasuredRow key={key} rowKey={key} observer={observer}>
+            {renderItem(item)}
+          </MeasuredRow>
+        );
+      })}
+      <div style={{ height: offsets[count] - offsets[end] }} />
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from "react";
+import { searchMessages } from "../lib/searchIndex";
+
+const SEARCH_DELAY = 200;
+
+// Sidebar search over the local message index. `describe(result)` returns
+// { chatTitle, senderName } for a hit; `onOpen(result)` opens it.
+export default function MessageSearch({ userId, activeChatId, describe, onOpen }) {
+  const [query, setQuery] = useState("");
+  const [scope, setScope] = useState("all"); // all | chat
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const chatId = scope === "chat" ? activeChatId : null;
+
+  useEffect(() => {
+    if (!query.trim() || !userId) {
+      setResults([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const found = await searchMessages(userId, query, { chatId });
+        if (!cancelled) setResults(found);
+      } catch (err) {
+        console.error("Message search failed:", err);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, chatId, userId]);
+
+  return (
+    <div className="message-search">
+      <div className="message-search-bar">
+        <input placeholder="Search messages" value={query} onChange={(e) => setQuery(e.target.value)} />
+        <select value={scope} onChange={(e) => setScope(e.target.value)} title="Where to search">
+          <option value="all">All chats</option>
+          <option value="chat" disabled={!activeChatId}>
+            This chat
+          </option>
+        </select>
+      </div>
+      {query.trim() && (
+        <ul className="users search-results">
+          {searching && !results.length && <li className="typing">Searching…</li>}
+          {!searching && !results.length && <li className="typing">No messages found</li>}
+          {results.map((r) => {
+            const { chatTitle, senderName } = describe(r);
+            return (
+              <li key={r.id} onClick={() => onOpen(r)} style={{ cursor: "pointer" }}>
+                <div className="search-result-meta">
+                  <span>{scope === "all" ? `${chatTitle} · ${senderName}` : senderName}</span>
+                  <span>{r.createdAt ? new Date(r.createdAt).toLocaleDateString() : ""}</span>
+                </div>
+                <div className="search-result-text">
+                  {r.snippet.map((segment, i) => (segment.match ? <mark key={i}>{segment.text}</mark> : segment.text))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * Strip under the chat header showing one pinned message at a time. Clicking
+ * it jumps to that message and moves on to the next pin. `pins` is
+ * [{ id, text }], newest first.
+ */
+export default function PinnedBanner({ pins, onOpen, onUnpin }) {
+  const [index, setIndex] = useState(0);
+  const current = pins[Math.min(index, pins.length - 1)];
+
+  // New or removed pins start again from the newest one
+  useEffect(() => setIndex(0), [pins.length]);
+
+  if (!current) return null;
+  return (
+    <div className="pinned-banner">
+      <button
+        type="button"
+        className="pinned-current"
+        onClick={() => {
+          onOpen(current.id);
+          setIndex((i) => (i + 1) % pins.length);
+        }}
+      >
+        <span className="pinned-label">
+          📌 Pinned message{pins.length > 1 ? ` ${Math.min(index, pins.length - 1) + 1} of ${pins.length}` : ""}
+        </span>
+        <span className="pinned-text">{current.text || "Message"}</span>
+      </button>
+      {onUnpin && (
+        <button type="button" className="pinned-unpin" title="Unpin" onClick={() => onUnpin(current.id)}>
+          ✕
+        </button>
+      )}
+    </div>
+  );
+}
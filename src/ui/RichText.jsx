@@ -0,0 +1,46 @@
+import React, { useMemo } from "react";
+import { parseRichText } from "../utils/richText";
+
+const TAGS = { bold: "strong", italic: "em", strike: "s" };
+
+function renderNodes(nodes, selfId) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case "mention":
+        return (
+          <span key={i} className={`mention ${node.userId === String(selfId) ? "self" : ""}`}>
+            {node.text}
+          </span>
+        );
+      case "code":
+        return <code key={i}>{node.text}</code>;
+      case "codeblock":
+        return (
+          <pre key={i}>
+            <code>{node.text}</code>
+          </pre>
+        );
+      case "link":
+        return (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer">
+            {node.text}
+          </a>
+        );
+      case "bold":
+      case "italic":
+      case "strike": {
+        const Tag = TAGS[node.type];
+        return <Tag key={i}>{renderNodes(node.children, selfId)}</Tag>;
+      }
+      default:
+        return <React.Fragment key={i}>{node.text}</React.Fragment>;
+    }
+  });
+}
+
+// Formatted message text. All content goes through React as text nodes.
+// Mentions of `selfId` are highlighted more strongly.
+export default function RichText({ text, mentions, selfId }) {
+  const nodes = useMemo(() => parseRichText(text, mentions), [text, mentions]);
+  return <span className="rich-text">{renderNodes(nodes, selfId)}</span>;
+}
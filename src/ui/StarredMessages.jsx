@@ -0,0 +1,84 @@
+import React, { useEffect, useRef, useState } from "react";
+import { decryptMessage, describeDecryptError } from "../utils/cryptoUtils";
+import { decodeBody, previewText } from "../utils/messageBody";
+
+// Previews follow edits and deletions: they are cached per message version
+function previewKey(message) {
+  return message.deleted ? "deleted" : message.content;
+}
+
+// Sidebar list of the user's starred messages across all chats, newest star
+// first. `describe(entry)` returns { chat, chatTitle, senderName };
+// `onOpen(entry)` opens the message and `onUnstar(entry)` removes it.
+export default function StarredMessages({ items, selfId, describe, onOpen, onUnstar }) {
+  const [previews, setPreviews] = useState({}); // messageId -> { key, text }
+  const describeRef = useRef(describe);
+  describeRef.current = describe;
+  // Entries whose chat is known; the rest wait for the chat list to load
+  const readyIds = items
+    .filter((entry) => describe(entry).chat)
+    .map((entry) => entry.messageId)
+    .join(",");
+
+  useEffect(() => {
+    const ready = new Set(readyIds.split(","));
+    const missing = items.filter(
+      (entry) =>
+        entry.message && ready.has(String(entry.messageId)) && previews[entry.messageId]?.key !== previewKey(entry.message)
+    );
+    if (!missing.length) return;
+    let cancelled = false;
+    Promise.all(
+      missing.map(async (entry) => {
+        const key = previewKey(entry.message);
+        if (entry.message.deleted) return [entry.messageId, { key, text: "🚫 This message was deleted" }];
+        const result = await decryptMessage(entry.message.content, {
+          chat: describeRef.current(entry).chat,
+          senderId: entry.message.sender,
+          selfId,
+        });
+        const text = result.ok ? previewText(decodeBody(result.text)) : `🔒 ${describeDecryptError(result.reason)}`;
+        return [entry.messageId, { key, text }];
+      })
+    ).then((entries) => {
+      if (!cancelled) setPreviews((prev) => ({ ...prev, ...Object.fromEntries(entries) }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [items, selfId, previews, readyIds]);
+
+  if (!items.length) {
+    return <div className="typing" style={{ padding: 16 }}>No starred messages yet. Use ☆ on a message to star it.</div>;
+  }
+  return (
+    <ul className="users starred-messages">
+      {items.map((entry) => {
+        const { chat, chatTitle, senderName } = describe(entry);
+        // Not cached: the chat list may simply not have loaded yet
+        const preview = chat ? previews[entry.messageId]?.text : "Message from a chat you left";
+        return (
+          <li key={entry.messageId} onClick={() => onOpen(entry)} style={{ cursor: "pointer" }}>
+            <div className="search-result-meta">
+              <span>{`${chatTitle} · ${senderName}`}</span>
+              <span>{entry.message?.createdAt ? new Date(entry.message.createdAt).toLocaleDateString() : ""}</span>
+            </div>
+            <div className="starred-row">
+              <span className="search-result-text">{preview ?? "Decrypting…"}</span>
+              <button
+                type="button"
+                title="Unstar"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onUnstar(entry);
+                }}
+              >
+                ★
+              </button>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext.jsx";
+import { formatDuration, loadAttachment } from "../lib/attachments";
+import { Waveform } from "./VoiceRecorder.jsx";
+
+const SPEEDS = [1, 1.5, 2];
+
+/**
+ * Player for a voice note. The encrypted audio is only downloaded on the
+ * first play. `played` drives the unplayed dot; `onPlay` fires when
+ * playback starts so the chat can report it.
+ */
+export default function VoicePlayer({ voice, played, onPlay }) {
+  const { token } = useAuth();
+  const audioRef = useRef(null);
+  const [src, setSrc] = useState(null);
+  const [state, setState] = useState("idle"); // idle | loading | playing | paused | failed
+  const [position, setPosition] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const duration = voice.duration || 0;
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.playbackRate = speed;
+  }, [speed, src]);
+
+  // play() rejects when the browser blocks autoplay or can't decode the audio
+  function startPlayback(audio) {
+    audio.play().catch((err) => {
+      if (err?.name === "AbortError") return; // paused again before it started
+      console.error("Failed to play voice note:", err);
+      setState(err?.name === "NotAllowedError" ? "paused" : "failed");
+    });
+  }
+
+  async function toggle() {
+    const audio = audioRef.current;
+    if (state === "playing") {
+      audio.pause();
+      return;
+    }
+    if (!src) {
+      setState("loading");
+      try {
+        setSrc(await loadAttachment(voice, token));
+      } catch (err) {
+        console.error("Failed to load voice note:", err);
+        setState("failed");
+      }
+      return; // playback starts from onCanPlay once the source is set
+    }
+    startPlayback(audio);
+  }
+
+  function seek(fraction) {
+    const audio = audioRef.current;
+    if (!audio || !src) return;
+    audio.currentTime = fraction * (audio.duration || duration);
+    setPosition(audio.currentTime);
+  }
+
+  return (
+    <div className={`voice-note ${played ? "" : "unplayed"}`}>
+      <button type="button" className="voice-toggle" onClick={toggle} disabled={state === "loading"}>
+        {state === "playing" ? "❚❚" : state === "loading" ? "…" : state === "failed" ? "↻" : "▶"}
+      </button>
+      <Waveform bars={voice.waveform || []} progress={duration ? position / duration : 0} onSeek={src ? seek : undefined} />
+      <span className="voice-time">{formatDuration(state === "idle" ? duration : position)}</span>
+      <button
+        type="button"
+        className="voice-speed"
+        title="Playback speed"
+        onClick={() => setSpeed((cur) => SPEEDS[(SPEEDS.indexOf(cur) + 1) % SPEEDS.length])}
+      >
+        {speed}×
+      </button>
+      {!played && <span className="voice-dot" title="Not played yet" />}
+      {src && (
+        <audio
+          ref={audioRef}
+          src={src}
+          onCanPlay={(e) => {
+            if (state === "loading") startPlayback(e.currentTarget);
+          }}
+          onError={() => setState("failed")}
+          onPlay={() => {
+            setState("playing");
+            onPlay?.();
+          }}
+          onPause={() => setState("paused")}
+          onEnded={() => {
+            setState("paused");
+            setPosition(0);
+          }}
+          onTimeUpdate={(e) => setPosition(e.currentTarget.currentTime)}
+        />
+      )}
+    </div>
+  );
+}
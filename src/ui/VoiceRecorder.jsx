@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from "react";
+import { formatDuration } from "../lib/attachments";
+
+const MIME_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/mp4"];
+const LEVEL_INTERVAL = 100; // ms between waveform samples
+const LIVE_BARS = 40;
+const WAVEFORM_BARS = 48;
+const MIN_DURATION = 500; // ms; shorter presses are treated as a tap
+
+function pickMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+// Averages the recorded levels down to `count` bars scaled to 0..1
+function downsample(levels, count) {
+  if (!levels.length) return [];
+  const bars = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * levels.length) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * levels.length) / count));
+    const slice = levels.slice(start, end);
+    bars.push(slice.reduce((sum, v) => sum + v, 0) / slice.length);
+  }
+  const peak = Math.max(...bars) || 1;
+  return bars.map((v) => Math.round((v / peak) * 100) / 100);
+}
+
+export function Waveform({ bars, progress = 1, onSeek }) {
+  return (
+    <div
+      className="waveform"
+      onClick={
+        onSeek &&
+        ((e) => {
+          const rect = e.currentTarget.getBoundingClientRect();
+          onSeek(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)));
+        })
+      }
+    >
+      {bars.map((level, i) => (
+        <span
+          key={i}
+          className={i / bars.length < progress ? "filled" : ""}
+          style={{ height: `${Math.max(8, level * 100)}%` }}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Hold-to-record microphone button. While held it records with
+ * MediaRecorder and shows the running duration and input level; on release
+ * the note can be reviewed, then sent with
+ * `onRecorded({ blob, duration, waveform })` or discarded.
+ */
+export default function VoiceRecorder({ onRecorded, disabled }) {
+  const [phase, setPhase] = useState("idle"); // idle | starting | recording | review
+  const [elapsed, setElapsed] = useState(0);
+  const [levels, setLevels] = useState([]);
+  const [recording, setRecording] = useState(null); // { blob, duration, waveform }
+  const [error, setError] = useState(null);
+  const sessionRef = useRef(null);
+  const heldRef = useRef(false);
+
+  useEffect(() => () => teardown(), []);
+
+  function teardown() {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (!session) return;
+    clearInterval(session.timer);
+    if (session.recorder.state !== "inactive") {
+      session.recorder.onstop = null;
+      session.recorder.stop();
+    }
+    session.stream.getTracks().forEach((track) => track.stop());
+    session.audioContext?.close();
+  }
+
+  async function start() {
+    setError(null);
+    const mimeType = pickMimeType();
+    if (mimeType === null || !navigator.mediaDevices?.getUserMedia) {
+      setError("Voice notes aren't supported in this browser");
+      return;
+    }
+    heldRef.current = true;
+    setPhase("starting");
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.error("Microphone unavailable:", err);
+      setError("Microphone access was denied");
+      setPhase("idle");
+      return;
+    }
+    // Released while the permission prompt was open
+    if (!heldRef.current) {
+      stream.getTracks().forEach((track) => track.stop());
+      setPhase("idle");
+      return;
+    }
+
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    const recordedLevels = [];
+    let audioContext = null;
+    let analyser = null;
+    try {
+      audioContext = new AudioContext();
+      analyser = audioContext.createAnalyser();
+      analyser.fftSize = 512;
+      audioContext.createMediaStreamSource(stream).connect(analyser);
+    } catch {
+      // No level meter; recording still works
+    }
+    const samples = analyser ? new Uint8Array(analyser.fftSize) : null;
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+      setElapsed(Date.now() - startedAt);
+      if (!analyser) return;
+      analyser.getByteTimeDomainData(samples);
+      let sum = 0;
+      for (const v of samples) sum += ((v - 128) / 128) ** 2;
+      recordedLevels.push(Math.sqrt(sum / samples.length));
+      setLevels(recordedLevels.slice(-LIVE_BARS));
+    }, LEVEL_INTERVAL);
+
+    recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+    recorder.onstop = () => {
+      const duration = Date.now() - startedAt;
+      teardown();
+      if (duration < MIN_DURATION) {
+        setError("Hold the button to record");
+        setPhase("idle");
+        return;
+      }
+      setRecording({
+        blob: new Blob(chunks, { type: recorder.mimeType || mimeType || "audio/webm" }),
+        duration: duration / 1000,
+        waveform: downsample(recordedLevels, WAVEFORM_BARS),
+      });
+      setPhase("review");
+    };
+    sessionRef.current = { recorder, stream, audioContext, timer };
+    setElapsed(0);
+    setLevels([]);
+    recorder.start();
+    setPhase("recording");
+  }
+
+  function stop() {
+    heldRef.current = false;
+    const recorder = sessionRef.current?.recorder;
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+  }
+
+  function cancel() {
+    heldRef.current = false;
+    teardown();
+    setRecording(null);
+    setPhase("idle");
+  }
+
+  function send() {
+    onRecorded(recording);
+    setRecording(null);
+    setPhase("idle");
+  }
+
+  return (
+    <>
+      {phase === "recording" && (
+        <div className="voice-recorder recording">
+          <span className="voice-dot" />
+          <span className="voice-time">{formatDuration(elapsed / 1000)}</span>
+          <Waveform bars={levels.map((v) => Math.min(1, v * 4))} />
+          <span className="voice-hint">Release to stop</span>
+        </div>
+      )}
+      {phase === "review" && recording && (
+        <div className="voice-recorder">
+          <span className="voice-time">{formatDuration(recording.duration)}</span>
+          <Waveform bars={recording.waveform} />
+          <button type="button" onClick={cancel}>Cancel</button>
+          <button type="button" onClick={send}>Send</button>
+        </div>
+      )}
+      {error && phase === "idle" && (
+        <div className="voice-recorder error" onClick={() => setError(null)}>
+          {error}
+        </div>
+      )}
+      <button
+        type="button"
+        className={`mic ${phase === "recording" ? "active" : ""}`}
+        title="Hold to record a voice note"
+        disabled={disabled || phase === "review"}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture?.(e.pointerId);
+          start();
+        }}
+        onPointerUp={stop}
+        onPointerCancel={cancel}
+        onKeyDown={(e) => {
+          if ((e.key === " " || e.key === "Enter") && !e.repeat && phase === "idle") start();
+          if (e.key === "Escape") cancel();
+        }}
+        onKeyUp={(e) => {
+          if (e.key === " " || e.key === "Enter") stop();
+        }}
+      >
+        🎤
+      </button>
+    </>
+  );
+}
@@ -1,14 +1,337 @@
-import CryptoJS from "crypto-js";
+import { openDb, idbGet, idbPut } from "../lib/idb";
 
-const MESSAGE_SECRET_KEY = "LSKDJFL3K4JJKFDLLJL45PMNE4N5"; // use same key as backend for consistency
+// End-to-end encryption built on WebCrypto.
+//
+// Every device owns an ECDH P-256 key pair and a random device id; the
+// private half never leaves IndexedDB and the public half is published as
+// one of the account's `devices` ([{ id, publicKey }]), so several browsers
+// can be signed into the same account.
+//
+// Each sender device encrypts with its own random AES-GCM "sender key" per
+// chat and attaches that key wrapped for every device of every member,
+// including the sender's own (using an ECDH + HKDF pairwise key salted with
+// the chat id). A message stays decryptable even when older history is not
+// loaded. The sender key rotates whenever the chat's devices change.
+//
+// Message content on the wire is a JSON envelope:
+//   { v: 2, sd, kid, iv, ct, keys: { [userId]: { [deviceId]: { iv, ct } } } }
+// where `sd` is the sending device. Version 1 envelopes, from before device
+// lists, are still read: { v, iv, ct } for 1:1 chats, derived from the two
+// accounts' single keys, and { v, kid, iv, ct, keys: { [userId]: { iv, ct } } }
+// for groups.
 
-export const decryptMessage = (cipherText) => {
+const ENVELOPE_VERSION = 2;
+const LEGACY_ENVELOPE_VERSION = 1;
+// Device id given to an account's single pre-device-list `publicKey`
+const LEGACY_DEVICE_ID = "default";
+const DB_NAME = "chat-keys";
+const DEVICE_STORE = "deviceKeys";
+const SENDER_STORE = "senderKeys";
+
+export const DECRYPT_ERRORS = {
+  LEGACY: "legacy",
+  MALFORMED: "malformed",
+  NO_DEVICE_KEY: "no-device-key",
+  NO_PEER_KEY: "no-peer-key",
+  NOT_A_RECIPIENT: "not-a-recipient",
+  FAILED: "failed",
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const pairwiseKeys = new Map(); // `${chatId}:${peerPublicKey}` -> Promise<CryptoKey>
+const unwrappedSenderKeys = new Map(); // `${selfId}:${chatId}:${senderId}:${kid}` -> Promise<CryptoKey>
+
+function getDb() {
+  return openDb(DB_NAME, 1, (db) => {
+    db.createObjectStore(DEVICE_STORE);
+    db.createObjectStore(SENDER_STORE);
+  });
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function idOf(entity) {
+  return String(entity?.id || entity?._id || entity || "");
+}
+
+function createDeviceId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function loadDeviceKeys(userId) {
+  const db = await getDb();
+  let record = await idbGet(db, DEVICE_STORE, String(userId));
+  if (!record) {
+    const pair = await crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      ["deriveBits"]
+    );
+    const raw = await crypto.subtle.exportKey("raw", pair.publicKey);
+    record = { privateKey: pair.privateKey, publicKey: toBase64(raw), deviceId: createDeviceId() };
+    await idbPut(db, DEVICE_STORE, record, String(userId));
+  } else if (!record.deviceId) {
+    // Key pairs made before device lists keep their key and get an id
+    record = { ...record, deviceId: createDeviceId() };
+    await idbPut(db, DEVICE_STORE, record, String(userId));
+  }
+  return record;
+}
+
+/**
+ * Returns this device's `{ deviceId, publicKey }` for `userId`, generating
+ * the key pair on first use. The caller is responsible for publishing it.
+ */
+export async function getDeviceKey(userId) {
+  const { deviceId, publicKey } = await loadDeviceKeys(userId);
+  return { deviceId, publicKey };
+}
+
+/**
+ * The published devices of a user or chat member. Accounts that predate
+ * device lists only have a single `publicKey`.
+ */
+export function deviceKeysOf(member) {
+  if (Array.isArray(member?.devices)) return member.devices.filter((d) => d?.id && d.publicKey);
+  return member?.publicKey ? [{ id: LEGACY_DEVICE_ID, publicKey: member.publicKey }] : [];
+}
+
+function derivePairwiseKey(userId, peerPublicKey, chatId, purpose) {
+  const cacheKey = `${userId}:${chatId}:${purpose}:${peerPublicKey}`;
+  if (!pairwiseKeys.has(cacheKey)) {
+    const promise = (async () => {
+      const { privateKey } = await loadDeviceKeys(userId);
+      const peerKey = await crypto.subtle.importKey(
+        "raw",
+        fromBase64(peerPublicKey),
+        { name: "ECDH", namedCurve: "P-256" },
+        false,
+        []
+      );
+      const secret = await crypto.subtle.deriveBits({ name: "ECDH", public: peerKey }, privateKey, 256);
+      const hkdfKey = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+      return crypto.subtle.deriveKey(
+        { name: "HKDF", hash: "SHA-256", salt: encoder.encode(String(chatId)), info: encoder.encode(purpose) },
+        hkdfKey,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"]
+      );
+    })();
+    promise.catch(() => pairwiseKeys.delete(cacheKey));
+    pairwiseKeys.set(cacheKey, promise);
+  }
+  return pairwiseKeys.get(cacheKey);
+}
+
+async function aesEncrypt(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes);
+  return { iv: toBase64(iv), ct: toBase64(ct) };
+}
+
+async function aesDecrypt(key, { iv, ct }) {
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(ct));
+}
+
+function findMember(chat, userId) {
+  return (chat?.members || []).find((m) => idOf(m) === String(userId)) || null;
+}
+
+function getPeer(chat, selfId) {
+  return (chat?.members || []).find((m) => idOf(m) !== String(selfId)) || null;
+}
+
+function memberFingerprint(chat) {
+  return (chat?.members || [])
+    .flatMap((m) => deviceKeysOf(m).map((d) => `${idOf(m)}/${d.id}=${d.publicKey}`))
+    .sort()
+    .join(",");
+}
+
+// A legacy 1:1 envelope was encrypted with the account's single key
+function legacyPublicKey(member) {
+  return member?.publicKey || deviceKeysOf(member)[0]?.publicKey || null;
+}
+
+async function getOwnSenderKey(chat, selfId) {
+  const chatId = idOf(chat);
+  const db = await getDb();
+  const storeKey = `${selfId}:${chatId}`;
+  const fingerprint = memberFingerprint(chat);
+  let record = await idbGet(db, SENDER_STORE, storeKey);
+  if (!record || record.fingerprint !== fingerprint) {
+    const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+    const raw = new Uint8Array(await crypto.subtle.exportKey("raw", key));
+    record = { kid: toBase64(crypto.getRandomValues(new Uint8Array(9))), raw, fingerprint };
+    await idbPut(db, SENDER_STORE, record, storeKey);
+  }
+  const key = await crypto.subtle.importKey("raw", record.raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+  return { kid: record.kid, key, raw: record.raw };
+}
+
+/**
+ * Encrypts `text` for every device of everyone in `chat`, our own other
+ * devices included, and returns the envelope string to send as message
+ * content. Throws when a member has not published a key yet.
+ */
+export async function encryptMessage(text, chat, selfId) {
+  const chatId = idOf(chat);
+  const plain = encoder.encode(text);
+  const members = chat?.members || [];
+  if (!chat?.isGroup && !getPeer(chat, selfId) && !findMember(chat, selfId)) {
+    throw new Error("Recipient has not set up encryption yet");
+  }
+  const missing = members.filter((m) => idOf(m) !== String(selfId) && !deviceKeysOf(m).length);
+  if (missing.length) {
+    if (!chat?.isGroup) throw new Error("Recipient has not set up encryption yet");
+    const names = missing.map((m) => m.name || m.username || idOf(m)).join(", ");
+    throw new Error(`Not everyone has set up encryption yet: ${names}`);
+  }
+
+  const { deviceId, publicKey } = await loadDeviceKeys(selfId);
+  const { kid, key, raw } = await getOwnSenderKey(chat, selfId);
+  const keys = {};
+  for (const member of members) {
+    const devices = deviceKeysOf(member);
+    // Our own device may not be published yet; it still needs to read this
+    if (idOf(member) === String(selfId) && !devices.some((d) => d.id === deviceId)) {
+      devices.push({ id: deviceId, publicKey });
+    }
+    const wrapped = {};
+    for (const device of devices) {
+      const wrapKey = await derivePairwiseKey(selfId, device.publicKey, chatId, "sender-key");
+      wrapped[device.id] = await aesEncrypt(wrapKey, raw);
+    }
+    keys[idOf(member)] = wrapped;
+  }
+  return JSON.stringify({ v: ENVELOPE_VERSION, sd: deviceId, kid, ...(await aesEncrypt(key, plain)), keys });
+}
+
+function parseEnvelope(content) {
+  if (typeof content !== "string" || !content.startsWith("{")) return null;
+  try {
+    const envelope = JSON.parse(content);
+    const known = envelope?.v === ENVELOPE_VERSION || envelope?.v === LEGACY_ENVELOPE_VERSION;
+    return known && envelope.iv && envelope.ct ? envelope : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isEncryptedContent(content) {
+  return !!parseEnvelope(content);
+}
+
+/** User ids a group envelope was encrypted for; null for 1:1 or legacy content. */
+export function envelopeRecipients(content) {
+  const envelope = parseEnvelope(content);
+  return envelope?.keys ? Object.keys(envelope.keys) : null;
+}
+
+// Version 2 envelopes are wrapped per device and name the sending device;
+// version 1 group envelopes were wrapped once per account
+function getSenderKey(envelope, chat, senderId, selfId, device) {
+  const chatId = idOf(chat);
+  const cacheKey = `${selfId}:${chatId}:${senderId}:${envelope.kid}`;
+  if (!unwrappedSenderKeys.has(cacheKey)) {
+    const promise = (async () => {
+      const forUser = envelope.keys?.[String(selfId)];
+      // Senders that only knew our account's single key wrapped it as the legacy device
+      const wrapped =
+        envelope.v === ENVELOPE_VERSION ? forUser?.[device.deviceId] || forUser?.[LEGACY_DEVICE_ID] : forUser;
+      if (!wrapped) throw new Error(DECRYPT_ERRORS.NOT_A_RECIPIENT);
+      let senderKey;
+      if (envelope.v !== ENVELOPE_VERSION) {
+        senderKey = legacyPublicKey(findMember(chat, senderId));
+      } else if (String(senderId) === String(selfId) && envelope.sd === device.deviceId) {
+        senderKey = device.publicKey;
+      } else {
+        senderKey = deviceKeysOf(findMember(chat, senderId)).find((d) => d.id === envelope.sd)?.publicKey;
+      }
+      if (!senderKey) throw new Error(DECRYPT_ERRORS.NO_PEER_KEY);
+      const wrapKey = await derivePairwiseKey(selfId, senderKey, chatId, "sender-key");
+      const raw = await aesDecrypt(wrapKey, wrapped);
+      return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["decrypt"]);
+    })();
+    promise.catch(() => unwrappedSenderKeys.delete(cacheKey));
+    unwrappedSenderKeys.set(cacheKey, promise);
+  }
+  return unwrappedSenderKeys.get(cacheKey);
+}
+
+/**
+ * Decrypts a message envelope sent by `senderId` in `chat`.
+ * Resolves to { ok: true, text } or { ok: false, reason } — never throws, so
+ * callers can render a "cannot decrypt" state instead of failing.
+ */
+export async function decryptMessage(content, { chat, senderId, selfId }) {
+  const envelope = parseEnvelope(content);
+  if (!envelope) return { ok: false, reason: DECRYPT_ERRORS.LEGACY };
+  let device;
   try {
-    const bytes = CryptoJS.AES.decrypt(cipherText, MESSAGE_SECRET_KEY);
-    const originalText = bytes.toString(CryptoJS.enc.Utf8);
-    return originalText;
+    device = await loadDeviceKeys(selfId);
   } catch (error) {
-    console.error("Error decrypting message:", error);
-    return "[Invalid Encrypted Data]";
+    console.error("Device key unavailable:", error);
+    return { ok: false, reason: DECRYPT_ERRORS.NO_DEVICE_KEY };
   }
-};
+  try {
+    let key;
+    if (envelope.keys) {
+      key = await getSenderKey(envelope, chat, senderId, selfId, device);
+    } else {
+      const peerKey = legacyPublicKey(getPeer(chat, selfId) || findMember(chat, selfId));
+      if (!peerKey) return { ok: false, reason: DECRYPT_ERRORS.NO_PEER_KEY };
+      key = await derivePairwiseKey(selfId, peerKey, idOf(chat), "chat-1to1");
+    }
+    const plain = await aesDecrypt(key, envelope);
+    return { ok: true, text: decoder.decode(plain) };
+  } catch (error) {
+    const reason = Object.values(DECRYPT_ERRORS).includes(error?.message) ? error.message : DECRYPT_ERRORS.FAILED;
+    return { ok: false, reason };
+  }
+}
+
+// Attachments are encrypted with a fresh AES-GCM key per file. The key and
+// iv travel inside the message body, which is itself end-to-end encrypted
+// like any other message, so the upload server only ever stores ciphertext.
+export async function encryptAttachment(data) {
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, data);
+  const raw = await crypto.subtle.exportKey("raw", key);
+  return { data: ct, key: toBase64(raw), iv: toBase64(iv) };
+}
+
+export async function decryptAttachment(data, { key, iv }) {
+  const cryptoKey = await crypto.subtle.importKey("raw", fromBase64(key), { name: "AES-GCM" }, false, ["decrypt"]);
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, cryptoKey, data);
+}
+
+export function describeDecryptError(reason) {
+  switch (reason) {
+    case DECRYPT_ERRORS.LEGACY:
+      return "This message was sent before end-to-end encryption and can't be shown";
+    case DECRYPT_ERRORS.NO_PEER_KEY:
+      return "Waiting for the sender's encryption key";
+    case DECRYPT_ERRORS.NOT_A_RECIPIENT:
+      return "This message wasn't encrypted for this device";
+    default:
+      return "This message can't be decrypted on this device";
+  }
+}
@@ -0,0 +1,56 @@
+// Date and time labels for the message list. Formats come from Intl with
+// the browser's locale, so 12/24-hour clocks and date order follow the
+// user's settings.
+
+const timeFormat = new Intl.DateTimeFormat(undefined, { hour: "numeric", minute: "2-digit" });
+const timestampFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "full", timeStyle: "medium" });
+const weekdayFormat = new Intl.DateTimeFormat(undefined, { weekday: "long" });
+const dateFormat = new Intl.DateTimeFormat(undefined, { day: "numeric", month: "long" });
+const dateWithYearFormat = new Intl.DateTimeFormat(undefined, { day: "numeric", month: "long", year: "numeric" });
+const relativeDays = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl throws on invalid dates; a message missing its time gets no label
+function toDate(value) {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+export function isSameDay(a, b) {
+  return startOfDay(a).getTime() === startOfDay(b).getTime();
+}
+
+// Short time shown on every message, e.g. "14:05" or "2:05 PM"
+export function formatTime(date) {
+  const d = toDate(date);
+  return d ? timeFormat.format(d) : "";
+}
+
+// Full date and time, for tooltips
+export function formatTimestamp(date) {
+  const d = toDate(date);
+  return d ? timestampFormat.format(d) : "";
+}
+
+/**
+ * "Today", "Yesterday", a weekday within the last week, otherwise the date.
+ * Empty for an invalid date.
+ */
+export function formatDayLabel(date, now = new Date()) {
+  const d = toDate(date);
+  if (!d) return "";
+  const days = Math.round((startOfDay(now) - startOfDay(d)) / DAY_MS);
+  if (days === 0 || days === 1) {
+    const label = relativeDays.format(-days, "day");
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+  if (days > 1 && days < 7) return weekdayFormat.format(d);
+  return (d.getFullYear() === now.getFullYear() ? dateFormat : dateWithYearFormat).format(d);
+}
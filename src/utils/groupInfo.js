@@ -0,0 +1,65 @@
+// Group membership and roles, plus the system messages the server posts
+// when they change. System messages are written by the server in the clear
+// ({ type: "system", system: { action, actorId, targetIds, name?, names? } })
+// since they only describe metadata the server already has.
+
+/**
+ * `{ members, admins, owner }` from a members response or a chat object.
+ * Older servers only send a single `admin`, who is treated as the owner.
+ */
+export function normalizeGroupInfo(info) {
+  const members = Array.isArray(info?.members) ? info.members : [];
+  const owner = info?.owner ?? info?.admin ?? null;
+  const admins = new Set((Array.isArray(info?.admins) ? info.admins : []).map(String));
+  if (owner) admins.add(String(owner));
+  return { members, admins: [...admins], owner: owner ? String(owner) : null };
+}
+
+export function isGroupAdmin(info, userId) {
+  return !!userId && info.admins.includes(String(userId));
+}
+
+export function isSystemMessage(message) {
+  return message?.type === "system";
+}
+
+function joinNames(names) {
+  if (names.length <= 1) return names[0] || "someone";
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+}
+
+/**
+ * One-line description of a system message. `nameOf(userId)` resolves
+ * current members (and "You"); people who already left fall back to the
+ * names the server stored with the message.
+ */
+export function describeSystemMessage(message, nameOf) {
+  const { action, actorId, targetIds = [], name, names = {} } = message.system || {};
+  const resolve = (id) => nameOf(id) || names[id] || "Unknown";
+  const actor = resolve(actorId);
+  const targets = joinNames(targetIds.map(resolve));
+  switch (action) {
+    case "created":
+      return `${actor} created the group${name ? ` "${name}"` : ""}`;
+    case "renamed":
+      return `${actor} renamed the group to "${name}"`;
+    case "avatar_changed":
+      return `${actor} changed the group photo`;
+    case "description_changed":
+      return `${actor} changed the group description`;
+    case "members_added":
+      return `${actor} added ${targets}`;
+    case "member_removed":
+      return `${actor} removed ${targets}`;
+    case "member_left":
+      return `${actor} left`;
+    case "admin_promoted":
+      return `${actor} made ${targets} ${targetIds.length > 1 ? "admins" : "an admin"}`;
+    case "admin_demoted":
+      return `${actor} dismissed ${targets} as admin`;
+    case "owner_transferred":
+      return `${actor} made ${targets} the group owner`;
+    default:
+      return "The group was updated";
+  }
+}
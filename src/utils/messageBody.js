@@ -0,0 +1,71 @@
+// Plaintext carried inside the encryption envelope.
+//
+// A text-only message is just its text. Messages with extra parts (a quoted
+// reply, ...) are JSON tagged with BODY_MARKER so they can't be confused
+// with a text that happens to look like JSON.
+
+const BODY_MARKER = "$body";
+const QUOTE_LENGTH = 200;
+
+export function encodeBody({ text = "", ...parts }) {
+  const extras = Object.fromEntries(Object.entries(parts).filter(([, value]) => value !== undefined && value !== null));
+  if (!Object.keys(extras).length) return text;
+  return JSON.stringify({ [BODY_MARKER]: 1, text, ...extras });
+}
+
+export function decodeBody(plaintext) {
+  if (typeof plaintext === "string" && plaintext.startsWith(`{"${BODY_MARKER}"`)) {
+    try {
+      const { [BODY_MARKER]: _marker, ...body } = JSON.parse(plaintext);
+      return { text: "", ...body };
+    } catch {
+      // Fall through: show it as text
+    }
+  }
+  return { text: plaintext || "" };
+}
+
+// One-line summary of a body, for quotes and previews
+export function previewText(body) {
+  if (body?.text) return body.text;
+  if (body?.voice) return "🎤 Voice message";
+  const attachment = body?.attachment;
+  if (attachment) return /^image\//.test(attachment.type || "") ? "📷 Photo" : `📎 ${attachment.name || "File"}`;
+  return "";
+}
+
+// Whether the server-visible `mentions` (user ids) of a message include userId
+export function isMentioned(message, userId) {
+  return Array.isArray(message?.mentions) && message.mentions.some((id) => String(id) === String(userId));
+}
+
+// { userId, offset, length } entities for every "@Name" of the picked members
+// still present in `text`
+export function findMentions(text, members) {
+  const mentions = [];
+  for (const member of members) {
+    const token = `@${member.name}`;
+    for (let i = text.indexOf(token); i !== -1; i = text.indexOf(token, i + token.length)) {
+      if (/\w/.test(text[i + token.length] || "")) continue;
+      mentions.push({ userId: String(member.id), offset: i, length: token.length });
+    }
+  }
+  // Longest match wins where names overlap ("@Ann" inside "@Ann Lee")
+  mentions.sort((a, b) => a.offset - b.offset || b.length - a.length);
+  const kept = [];
+  for (const m of mentions) {
+    const prev = kept[kept.length - 1];
+    if (!prev || m.offset >= prev.offset + prev.length) kept.push(m);
+  }
+  return kept;
+}
+
+// Snapshot of a message for the quoted preview of a reply
+export function makeQuote(message, text) {
+  const trimmed = (text || "").replace(/\s+/g, " ").trim();
+  return {
+    id: String(message.id || message._id),
+    sender: String(message.sender),
+    text: trimmed.length > QUOTE_LENGTH ? `${trimmed.slice(0, QUOTE_LENGTH)}…` : trimmed,
+  };
+}
@@ -0,0 +1,140 @@
+// Parser for the WhatsApp-style formatting subset used in messages:
+//
+//   *bold*  _italic_  ~strike~  `inline code`  ```code block```
+//
+// plus auto-linked http(s) and www. URLs and @mention entities. The result
+// is a plain tree of nodes that the UI turns into React elements; nothing is
+// ever handed to the DOM as HTML, so message text can't inject markup.
+//
+// Nodes: { type: "text", text } | { type: "code", text } |
+//        { type: "link", href, text } | { type: "codeblock", text } |
+//        { type: "mention", userId, text } |
+//        { type: "bold" | "italic" | "strike", children }
+
+const FENCE = /```(?:[^\S\n]*\n)?([\s\S]*?)\n?```/g;
+const EMPHASIS = { "*": "bold", _: "italic", "~": "strike" };
+// Inline code, a URL, or a marker pair. Markers must hug their content and
+// sit on word boundaries, so snake_case and 2*3*4 stay untouched.
+const INLINE = /`([^`\n]+)`|((?:https?:\/\/|www\.)[^\s<>"]+)|(^|[^\w*_~])([*_~])(?=\S)([^\n]*?\S)\4(?!\w)/;
+const TRAILING_PUNCTUATION = /[.,!?;:'")\]]+$/;
+// Mentions are swapped for private-use placeholders while parsing so that
+// names containing markers or spaces can't change the formatting around them
+const MENTION_PLACEHOLDER = /\uE000(\d+)\uE001/g;
+
+function pushText(nodes, text) {
+  if (!text) return;
+  const last = nodes[nodes.length - 1];
+  if (last?.type === "text") last.text += text;
+  else nodes.push({ type: "text", text });
+}
+
+// Only http(s) targets are produced; anything else stays text
+function toHref(url) {
+  return /^www\./i.test(url) ? `https://${url}` : url;
+}
+
+export function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+  for (;;) {
+    const match = INLINE.exec(rest);
+    if (!match) break;
+    const [whole, code, url, prefix, marker, inner] = match;
+    pushText(nodes, rest.slice(0, match.index));
+    let consumed = whole.length;
+    if (code !== undefined) {
+      nodes.push({ type: "code", text: code });
+    } else if (url !== undefined) {
+      const trimmed = url.replace(TRAILING_PUNCTUATION, "");
+      consumed = trimmed.length;
+      if (/^(?:https?:\/\/|www\.)./i.test(trimmed)) {
+        nodes.push({ type: "link", href: toHref(trimmed), text: trimmed });
+      } else {
+        pushText(nodes, trimmed);
+      }
+    } else {
+      pushText(nodes, prefix);
+      nodes.push({ type: EMPHASIS[marker], children: parseInline(inner) });
+    }
+    rest = rest.slice(match.index + consumed);
+  }
+  pushText(nodes, rest);
+  return nodes;
+}
+
+function parseBlocks(text) {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(FENCE)) {
+    nodes.push(...parseInline(text.slice(last, match.index)));
+    nodes.push({ type: "codeblock", text: match[1] });
+    last = match.index + match[0].length;
+  }
+  nodes.push(...parseInline(text.slice(last)));
+  return nodes;
+}
+
+// Well-formed, non-overlapping { userId, offset, length } ranges that start with "@"
+function validMentions(text, mentions) {
+  const sorted = (Array.isArray(mentions) ? mentions : [])
+    .filter((m) => Number.isInteger(m?.offset) && m.length > 1 && m.offset + m.length <= text.length)
+    .filter((m) => text[m.offset] === "@")
+    .sort((a, b) => a.offset - b.offset);
+  const kept = [];
+  for (const m of sorted) {
+    const prev = kept[kept.length - 1];
+    if (!prev || m.offset >= prev.offset + prev.length) kept.push(m);
+  }
+  return kept;
+}
+
+function restoreMentions(nodes, mentions, text) {
+  const original = (value) =>
+    value.replace(MENTION_PLACEHOLDER, (_, i) => {
+      const m = mentions[i];
+      return text.slice(m.offset, m.offset + m.length);
+    });
+  return nodes.flatMap((node) => {
+    switch (node.type) {
+      case "text": {
+        const parts = [];
+        let last = 0;
+        for (const match of node.text.matchAll(MENTION_PLACEHOLDER)) {
+          pushText(parts, node.text.slice(last, match.index));
+          const m = mentions[match[1]];
+          parts.push({ type: "mention", userId: String(m.userId), text: text.slice(m.offset, m.offset + m.length) });
+          last = match.index + match[0].length;
+        }
+        pushText(parts, node.text.slice(last));
+        return parts;
+      }
+      case "link":
+        return [{ ...node, href: original(node.href), text: original(node.text) }];
+      case "code":
+      case "codeblock":
+        return [{ ...node, text: original(node.text) }];
+      default:
+        return [{ ...node, children: restoreMentions(node.children, mentions, text) }];
+    }
+  });
+}
+
+// `mentions` are the message's { userId, offset, length } entities
+export function parseRichText(text, mentions) {
+  const source = text || "";
+  const valid = validMentions(source, mentions);
+  if (!valid.length) return parseBlocks(source);
+  let marked = "";
+  let last = 0;
+  valid.forEach((m, i) => {
+    marked += `${source.slice(last, m.offset)}\uE000${i}\uE001`;
+    last = m.offset + m.length;
+  });
+  marked += source.slice(last);
+  return restoreMentions(parseBlocks(marked), valid, source);
+}
+
+// True when the text renders differently from its plain form
+export function hasFormatting(text) {
+  return parseRichText(text).some((node) => node.type !== "text");
+}